@@ -7,13 +7,52 @@ dotenv.config();
 // Import services
 import claudeService from './services/claude.js';
 import motionService from './services/motion.js';
-import localStorageService from './services/local-storage.js';
+import storageService, { storageBackend, checkStorageSchema } from './services/storage.js';
 import WorkspaceMatcherService from './services/workspace-matcher.js';
 import ConversationAnalyzerService from './services/conversation-analyzer.js';
+import TaskSyncService from './services/task-sync.js';
+import channelRulesService from './services/channel-rules.js';
+import { scheduleRetry, describeRetry, startRetryProcessor, handleIncludeDuplicates } from './handlers/batch.js';
+import { handleTaskListPage } from './handlers/task-list.js';
+import { buildCreatedTaskBlocks, handleCreatedTaskAction } from './handlers/created-tasks.js';
+import { SLASH_COMMAND, routeCommand, handleSlashCommand } from './handlers/commands.js';
+import {
+  EXTRACT_TASKS_SHORTCUT_ID,
+  SHORTCUT_TASKS_CALLBACK_ID,
+  handleExtractTasksShortcut,
+  handleShortcutTasksSubmission,
+  handleShortcutTasksClosed
+} from './handlers/shortcut.js';
 import { parseMessage, extractQuotedText, parseTaskEditCommand } from './utils/parser.js';
+import {
+  prepareTasksForPreview,
+  markDuplicateTasks,
+  buildTaskBlocks,
+  buildUnresolvedAssigneeNotice,
+  buildRejectedTasksNotice,
+  buildDuplicateNotice,
+  formatRejectedTasks,
+  formatExcludedCount
+} from './handlers/preview.js';
+import {
+  EDIT_TASKS_CALLBACK_ID,
+  buildEditTasksModal,
+  parseEditTasksSubmission,
+  loadWorkspaceOptions,
+  loadProjectOptions
+} from './handlers/edit-modal.js';
+import { proposeAiTaskEdit, buildAiEditProposalBlocks } from './handlers/ai-edit.js';
+import {
+  CHANNEL_MAPPING_CALLBACK_ID,
+  handleConfirmMapping,
+  handleEditMapping,
+  handleMappingSubmission,
+  getTeamId
+} from './handlers/mapping.js';
 
 const workspaceMatcher = new WorkspaceMatcherService(motionService);
 const conversationAnalyzer = new ConversationAnalyzerService(claudeService);
+const taskSyncService = new TaskSyncService(storageService);
 
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
@@ -22,202 +61,273 @@ const app = new App({
   signingSecret: process.env.SLACK_SIGNING_SECRET,
 });
 
+// Extraction help for this app, shown by the shared help command
+const EXTRACTION_HELP = [
+  '• `@projectize` - Analyze conversation history for tasks',
+  '• `@projectize last 3 days`, `since yesterday`, `this thread`, `from @alice` or `since <message link>` - Choose what to analyze',
+  '• `@projectize [message]` - Extract tasks from specific message'
+];
+
 // App mention handler - main task extraction
-app.event('app_mention', async ({ event, client, logger }) => {
+app.event('app_mention', async ({ event, body, client, logger }) => {
   try {
     const { text, user, channel, ts } = event;
+    const teamId = body.team_id || event.team;
     
-    // Get context
-    const channelInfo = await client.conversations.info({ channel });
-    const userInfo = await client.users.info({ user });
+    // Mentioned inside a thread: reply there and analyze that thread only
+    const threadTs = event.thread_ts && event.thread_ts !== ts ? event.thread_ts : null;
+    const replyTs = threadTs || ts;
     
     // Parse the message
-    const { content, command } = parseMessage(text);
+    const parsed = parseMessage(text);
+    
+    const handled = await routeCommand(parsed, {
+      client,
+      channel,
+      userId: user,
+      teamId,
+      threadTs: replyTs,
+      source: 'mention',
+      extractionHelp: EXTRACTION_HELP,
+      reply: message => client.chat.postMessage({ channel, thread_ts: replyTs, ...message })
+    });
+    
+    if (handled) {
+      return;
+    }
+    
+    await extractAndPreview({ client, channel, user, teamId, ts, threadTs, content: parsed.content, scope: parsed.scope });
+    
+  } catch (error) {
+    logger.error('Error handling mention:', error);
+    await client.chat.postMessage({
+      channel: event.channel,
+      text: `❌ Sorry, something went wrong: ${error.message}`,
+      thread_ts: event.thread_ts || event.ts
+    });
+  }
+});
+
+// Extracts tasks from `content`, or from the conversation when there's none, and previews
+// them in the thread of message `ts`. Used by mentions and `/projectize extract`.
+async function extractAndPreview({ client, channel, user, teamId, ts, threadTs = null, content, scope }) {
+  const replyTs = threadTs || ts;
+  
+  // Get context
+  const channelInfo = await client.conversations.info({ channel });
+  const userInfo = await client.users.info({ user });
+  
+  // Pinned "Projectize rules" for this channel steer extraction and routing
+  const channelRules = await channelRulesService.getRules(client, channel);
+  
+  // Determine extraction method
+  let extractionResult;
+  let analysisType;
+  
+  // If no specific content, analyze conversation history
+  if (!content || content.trim().length < 10) {
+    await client.chat.postMessage({
+      channel,
+      text: threadTs ? `🔄 Analyzing this thread for tasks...` : `🔄 Analyzing recent conversation history for tasks...`,
+      thread_ts: replyTs
+    });
+    
+    // Get bot user ID for mention detection
+    const botInfo = await client.auth.test();
+    
+    // Analyze conversation history
+    const historyResult = await conversationAnalyzer.analyzeConversationHistory(
+      client, channel, ts, botInfo.user_id, {
+        readmeRules: channelRules.text,
+        threadTs,
+        analysisScope: scope,
+        timezoneOffset: userInfo.user?.tz_offset
+      }
+    );
     
-    if (command === 'help') {
+    if (!historyResult.success) {
       await client.chat.postMessage({
         channel,
-        text: `🚀 *Projectize Help*\n\n• \`@projectize\` - Analyze conversation history for tasks\n• \`@projectize [message]\` - Extract tasks from specific message\n• \`@projectize help\` - Show this help\n\n*Example:* Just mention me and I'll analyze recent conversation for actionable tasks!`
+        text: `⚠️ Error analyzing conversation: ${historyResult.error}`,
+        thread_ts: replyTs
       });
       return;
     }
     
-    // Determine extraction method
-    let extractionResult;
-    let analysisType;
-    
-    // If no specific content, analyze conversation history
-    if (!content || content.trim().length < 10) {
+    if (historyResult.tasks.length === 0 && historyResult.rejected?.length > 0) {
       await client.chat.postMessage({
         channel,
-        text: `🔄 Analyzing recent conversation history for tasks...`,
-        thread_ts: ts
+        text: `⚠️ I found possible tasks but the AI returned them in an invalid format:\n${formatRejectedTasks(historyResult.rejected)}`,
+        thread_ts: replyTs
       });
-      
-      // Get bot user ID for mention detection
-      const botInfo = await client.auth.test();
-      
-      // Analyze conversation history
-      const historyResult = await conversationAnalyzer.analyzeConversationHistory(
-        client, channel, ts, botInfo.user_id
-      );
-      
-      if (!historyResult.success) {
-        await client.chat.postMessage({
-          channel,
-          text: `⚠️ Error analyzing conversation: ${historyResult.error}`,
-          thread_ts: ts
-        });
-        return;
-      }
-      
-      if (historyResult.tasks.length === 0) {
-        await client.chat.postMessage({
-          channel,
-          text: `🤔 No actionable tasks found in recent conversation (${historyResult.messagesAnalyzed} messages analyzed over ${historyResult.timeRange}).`,
-          thread_ts: ts
-        });
-        return;
-      }
-      
-      extractionResult = {
-        success: true,
-        tasks: historyResult.tasks,
-        source: 'conversation_history',
-        messagesAnalyzed: historyResult.messagesAnalyzed,
-        timeRange: historyResult.timeRange
-      };
-      analysisType = `conversation history (${historyResult.messagesAnalyzed} messages over ${historyResult.timeRange})`;
-      
-    } else {
-      // Extract tasks from the specific mention message
+      return;
+    }
+    
+    if (historyResult.tasks.length === 0) {
       await client.chat.postMessage({
         channel,
-        text: `🔄 Analyzing your message for tasks...`,
-        thread_ts: ts
+        text: `🤔 No actionable tasks found in ${threadTs ? 'this thread' : 'recent conversation'}${historyResult.scopeDescription ? ` (${historyResult.scopeDescription})` : ''} — ${historyResult.messagesAnalyzed} messages analyzed over ${historyResult.timeRange}.`,
+        thread_ts: replyTs
       });
-      
-      extractionResult = await claudeService.extractTasks(content, context);
-      
-      if (!extractionResult.success) {
-        await client.chat.postMessage({
-          channel,
-          text: `⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`,
-          thread_ts: ts
-        });
-        return;
-      }
-      
-      if (extractionResult.tasks.length === 0) {
-        await client.chat.postMessage({
-          channel,
-          text: `🤔 I didn't find any clear actionable tasks in that message. Try being more specific about who should do what and when.`,
-          thread_ts: ts
-        });
-        return;
-      }
-      
-      analysisType = 'direct message';
+      return;
     }
     
-    // Get workspace suggestions
-    const workspacesResult = await motionService.getWorkspaces();
-    let workspaceSuggestions = [];
+    extractionResult = {
+      success: true,
+      tasks: historyResult.tasks,
+      rejected: historyResult.rejected || [],
+      source: 'conversation_history',
+      messagesAnalyzed: historyResult.messagesAnalyzed,
+      timeRange: historyResult.timeRange,
+      userMap: historyResult.userMap
+    };
+    analysisType = `${threadTs ? 'this thread' : 'conversation history'} (${historyResult.scopeDescription ? `${historyResult.scopeDescription}, ` : ''}${historyResult.messagesAnalyzed} messages over ${historyResult.timeRange})`;
+    
+  } else {
+    // Extract tasks from the specific mention message
+    await client.chat.postMessage({
+      channel,
+      text: `🔄 Analyzing your message for tasks...`,
+      thread_ts: replyTs
+    });
+    
+    const context = {
+      channelName: channelInfo.channel?.name || 'unknown',
+      authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown',
+      readmeRules: channelRules.text || undefined
+    };
+    
+    extractionResult = await claudeService.extractTasks(content, context);
     
-    if (workspacesResult.success && workspacesResult.workspaces?.length > 0) {
-      workspaceSuggestions = await workspaceMatcher.suggestWorkspaceAndProject(
-        extractionResult.tasks, 
-        workspacesResult.workspaces
-      );
+    if (!extractionResult.success) {
+      await client.chat.postMessage({
+        channel,
+        text: `⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`,
+        thread_ts: replyTs
+      });
+      return;
     }
     
-    // Store tasks with workspace suggestions
-    await localStorageService.addToTaskQueue({
-      slack_message_ts: ts,
-      slack_channel_id: channel,
-      slack_user_id: user,
-      extracted_tasks: extractionResult.tasks,
-      workspace_suggestions: workspaceSuggestions,
-      status: 'pending'
-    });
+    if (extractionResult.tasks.length === 0 && extractionResult.rejected?.length > 0) {
+      await client.chat.postMessage({
+        channel,
+        text: `⚠️ I found possible tasks but the AI returned them in an invalid format:\n${formatRejectedTasks(extractionResult.rejected)}`,
+        thread_ts: replyTs
+      });
+      return;
+    }
     
-    // Build task preview with workspace suggestions
-    const taskBlocks = extractionResult.tasks.map((task, index) => {
-      const suggestion = workspaceSuggestions[index];
-      let workspaceText = '';
-      
-      if (suggestion) {
-        workspaceText = `\n📁 **${suggestion.workspace.name}**`;
-        if (suggestion.project) {
-          workspaceText += ` > ${suggestion.project.name}`;
-        }
-        workspaceText += ` (${suggestion.confidence} confidence)`;
-        workspaceText += `\n💭 _${suggestion.reasoning}_`;
-      }
-      
-      return {
+    if (extractionResult.tasks.length === 0) {
+      await client.chat.postMessage({
+        channel,
+        text: `🤔 I didn't find any clear actionable tasks in that message. Try being more specific about who should do what and when.`,
+        thread_ts: replyTs
+      });
+      return;
+    }
+    
+    analysisType = 'direct message';
+  }
+  
+  // Match extracted assignees to Motion users
+  extractionResult.tasks = await prepareTasksForPreview(extractionResult.tasks, {
+    client,
+    authorUserId: user,
+    timezoneOffset: userInfo.user?.tz_offset,
+    slackUserMap: extractionResult.userMap
+  });
+  
+  // Get workspace suggestions, defaulting to the channel's mapping
+  const workspaceSuggestions = await getWorkspaceSuggestions(extractionResult.tasks, channel, teamId, client);
+  
+  // Skip tasks already extracted here recently or already open in the suggested project
+  extractionResult.tasks = await markDuplicateTasks(extractionResult.tasks, {
+    client,
+    channelId: channel,
+    targets: workspaceSuggestions.map(suggestion => suggestion && {
+      workspaceId: suggestion.workspace.id,
+      projectId: suggestion.project?.id || null
+    })
+  });
+  
+  // Store tasks with workspace suggestions
+  await storageService.addToTaskQueue({
+    slack_message_ts: ts,
+    slack_channel_id: channel,
+    slack_user_id: user,
+    slack_thread_ts: replyTs,
+    extracted_tasks: extractionResult.tasks,
+    workspace_suggestions: workspaceSuggestions,
+    status: 'pending'
+  });
+  
+  // Build task preview with workspace suggestions
+  const taskBlocks = buildTaskBlocks(extractionResult.tasks, workspaceSuggestions);
+  
+  await client.chat.postMessage({
+    channel,
+    thread_ts: replyTs,
+    blocks: [
+      {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*${index + 1}. ${task.title}*\n👤 ${task.assignee} ${task.due_date ? `| 📅 ${task.due_date}` : ''} ${task.confidence ? `| 🎯 ${task.confidence}` : ''}\n${task.context ? `_${task.context}_` : ''}${workspaceText}`
+          text: `📋 *Found ${extractionResult.tasks.length} task${extractionResult.tasks.length > 1 ? 's' : ''} from ${analysisType}:*`
         }
-      };
-    });
-    
-    await client.chat.postMessage({
-      channel,
-      thread_ts: ts,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `📋 *Found ${extractionResult.tasks.length} task${extractionResult.tasks.length > 1 ? 's' : ''} from ${analysisType}:*`
+      },
+      ...taskBlocks,
+      ...buildUnresolvedAssigneeNotice(extractionResult.tasks),
+      ...buildRejectedTasksNotice(extractionResult.rejected),
+      ...buildDuplicateNotice(extractionResult.tasks, ts),
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '✅ Create in Motion' },
+            style: 'primary',
+            action_id: 'approve_tasks',
+            value: ts
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '✏️ Edit Tasks' },
+            action_id: 'edit_tasks',
+            value: ts
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '❌ Cancel' },
+            action_id: 'reject_tasks',
+            value: ts
           }
-        },
-        ...taskBlocks,
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✅ Create in Motion' },
-              style: 'primary',
-              action_id: 'approve_tasks',
-              value: ts
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✏️ Edit Tasks' },
-              action_id: 'edit_tasks',
-              value: ts
-            },
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '❌ Cancel' },
-              action_id: 'reject_tasks',
-              value: ts
-            }
-          ]
-        }
-      ]
-    });
-    
-  } catch (error) {
-    logger.error('Error handling mention:', error);
-    await client.chat.postMessage({
-      channel: event.channel,
-      text: `❌ Sorry, something went wrong: ${error.message}`,
-      thread_ts: event.ts
-    });
+        ]
+      }
+    ]
+  });
+}
+
+async function getWorkspaceSuggestions(tasks, channelId, teamId, client) {
+  const workspacesResult = await motionService.getWorkspaces();
+  
+  if (!workspacesResult.success || !workspacesResult.workspaces?.length) {
+    return [];
   }
-});
+  
+  const channelMapping = await storageService.getChannelMapping(channelId, teamId);
+  const channelRules = await channelRulesService.getRules(client, channelId);
+  
+  return workspaceMatcher.suggestWorkspaceAndProject(tasks, workspacesResult.workspaces, {
+    channelMapping,
+    routingRules: channelRules.routing
+  });
+}
 
 // Message handler for task edits (replies to edit requests)
 app.message(async ({ message, client, logger }) => {
   try {
-    // Skip bot messages 
-    if (message.subtype === 'bot_message') return;
+    // Skip bot messages (including our own edit instructions)
+    if (message.subtype === 'bot_message' || message.bot_id) return;
     
     // Check if this is a reply to an edit request
     if (message.thread_ts) {
@@ -233,8 +343,8 @@ async function handleTaskEditReply(message, client, logger) {
   try {
     const { text, thread_ts, channel, user } = message;
     
-    // Check if there's a task in editing state for this thread
-    const storedTask = await localStorageService.getTaskByMessage(thread_ts, channel);
+    // Check if there's a task in editing state previewed in this thread
+    const storedTask = await storageService.getTaskByThread(thread_ts, channel);
     
     if (!storedTask || storedTask.status !== 'editing') {
       return; // Not an edit reply
@@ -246,11 +356,8 @@ async function handleTaskEditReply(message, client, logger) {
     const editCommands = parseTaskEditCommands(text);
     
     if (editCommands.length === 0) {
-      await client.chat.postMessage({
-        channel,
-        text: `❓ I didn't understand that edit. Try:\n• \`Remove task 2\`\n• \`Change task 1 assignee to Jenny\`\n• \`Update task 1 due date to Monday\``,
-        thread_ts: thread_ts
-      });
+      // Not a known command - let Claude interpret it against the whole list
+      await handleAiEditReply(storedTask, text, user, channel, client);
       return;
     }
     
@@ -265,8 +372,8 @@ async function handleTaskEditReply(message, client, logger) {
     }
     
     // Filter out removed tasks
-    const validTasks = editedTasks.filter(task => task !== null);
-    const validSuggestions = editedSuggestions.filter((_, index) => editedTasks[index] !== null);
+    let validTasks = editedTasks.filter(task => task !== null);
+    let validSuggestions = editedSuggestions.filter((_, index) => editedTasks[index] !== null);
     
     if (validTasks.length === 0) {
       await client.chat.postMessage({
@@ -275,15 +382,20 @@ async function handleTaskEditReply(message, client, logger) {
         thread_ts: thread_ts
       });
       
-      await localStorageService.updateTaskQueue(storedTask.id, {
+      await storageService.updateTaskQueue(storedTask.id, {
         status: 'failed',
         error_message: 'All tasks removed by user'
       });
       return;
     }
     
+    // Re-match assignees and re-resolve due dates that were changed by hand
+    if (editCommands.some(cmd => cmd.action === 'change_assignee' || cmd.action === 'change_due_date')) {
+      validTasks = await prepareTasksForPreview(validTasks, { client, authorUserId: storedTask.slack_user_id });
+    }
+    
     // Update stored task with edits
-    await localStorageService.updateTaskQueue(storedTask.id, {
+    await storageService.updateTaskQueue(storedTask.id, {
       extracted_tasks: validTasks,
       workspace_suggestions: validSuggestions,
       status: 'pending' // Back to pending for approval
@@ -291,11 +403,10 @@ async function handleTaskEditReply(message, client, logger) {
     
     // Re-generate workspace suggestions if needed
     if (editCommands.some(cmd => cmd.action === 'change_workspace')) {
-      const workspacesResult = await motionService.getWorkspaces();
-      if (workspacesResult.success) {
-        const newSuggestions = await workspaceMatcher.suggestWorkspaceAndProject(validTasks, workspacesResult.workspaces);
-        
-        await localStorageService.updateTaskQueue(storedTask.id, {
+      const newSuggestions = await getWorkspaceSuggestions(validTasks, channel, message.team, client);
+      
+      if (newSuggestions.length > 0) {
+        await storageService.updateTaskQueue(storedTask.id, {
           workspace_suggestions: newSuggestions
         });
         
@@ -304,17 +415,184 @@ async function handleTaskEditReply(message, client, logger) {
     }
     
     // Post updated preview
-    await postUpdatedTaskPreview(client, channel, validTasks, validSuggestions, thread_ts, editCommands);
+    await postUpdatedTaskPreview(client, channel, validTasks, validSuggestions, storedTask, describeEditCommands(editCommands));
     
   } catch (error) {
     logger.error('Error handling task edit reply:', error);
   }
 }
 
+async function handleAiEditReply(storedTask, feedback, user, channel, client) {
+  const threadTs = getEntryThreadTs(storedTask);
+  
+  const channelInfo = await client.conversations.info({ channel });
+  const userInfo = await client.users.info({ user });
+  
+  const proposal = await proposeAiTaskEdit(storedTask.extracted_tasks, feedback, {
+    channelName: channelInfo.channel?.name || 'unknown',
+    authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown'
+  });
+  
+  if (!proposal.success) {
+    await client.chat.postMessage({
+      channel,
+      text: `❓ I couldn't apply that edit (${proposal.error}). Try:\n• \`Remove task 2\`\n• \`Change task 1 assignee to Jenny\`\n• \`Merge tasks 1 and 3\``,
+      thread_ts: threadTs
+    });
+    return;
+  }
+  
+  if (!proposal.changed) {
+    await client.chat.postMessage({
+      channel,
+      text: `🤷 That edit didn't change any tasks. Try rephrasing it.`,
+      thread_ts: threadTs
+    });
+    return;
+  }
+  
+  if (proposal.tasks.length === 0) {
+    await client.chat.postMessage({
+      channel,
+      text: `⚠️ That edit would remove every task. Use ❌ Cancel on the preview if that's what you want.`,
+      thread_ts: threadTs
+    });
+    return;
+  }
+  
+  // Hold the proposal on the queue entry until someone applies or discards it
+  await storageService.updateTaskQueue(storedTask.id, {
+    proposed_edit: {
+      tasks: proposal.tasks,
+      summary: proposal.summary,
+      feedback,
+      requested_by: user
+    }
+  });
+  
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `🤖 Proposed changes: ${proposal.summary}`,
+    blocks: buildAiEditProposalBlocks(proposal, storedTask.slack_message_ts)
+  });
+}
+
+// Apply a proposed AI edit to the queue entry
+app.action('apply_ai_edit', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    const messageTs = body.actions[0].value;
+    const channelId = body.channel.id;
+    
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (!storedTask || !storedTask.proposed_edit || storedTask.status !== 'editing') {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `⚠️ That proposal is no longer available.`,
+        thread_ts: messageTs
+      });
+      return;
+    }
+    
+    const { summary } = storedTask.proposed_edit;
+    
+    // Merges and splits shift task positions, so resolve and re-match everything
+    const tasks = await prepareTasksForPreview(storedTask.proposed_edit.tasks, {
+      client,
+      authorUserId: storedTask.slack_user_id
+    });
+    
+    const suggestions = await getWorkspaceSuggestions(tasks, channelId, getTeamId(body), client);
+    
+    await storageService.updateTaskQueue(storedTask.id, {
+      extracted_tasks: tasks,
+      workspace_suggestions: suggestions,
+      proposed_edit: null,
+      status: 'pending'
+    });
+    
+    await client.chat.update({
+      channel: channelId,
+      ts: body.message.ts,
+      text: `✅ Changes applied by <@${body.user.id}>: ${summary}`,
+      blocks: []
+    });
+    
+    await postUpdatedTaskPreview(client, channelId, tasks, suggestions, storedTask, `AI edit: ${summary}`);
+    
+  } catch (error) {
+    logger.error('Error applying AI edit:', error);
+  }
+});
+
+app.action('discard_ai_edit', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    const messageTs = body.actions[0].value;
+    const channelId = body.channel.id;
+    
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (storedTask && storedTask.status === 'editing') {
+      await storageService.updateTaskQueue(storedTask.id, {
+        proposed_edit: null,
+        status: 'pending'
+      });
+    }
+    
+    await client.chat.update({
+      channel: channelId,
+      ts: body.message.ts,
+      text: `↩️ Proposed changes discarded by <@${body.user.id}>. The previous task list is unchanged.`,
+      blocks: []
+    });
+    
+  } catch (error) {
+    logger.error('Error discarding AI edit:', error);
+  }
+});
+
+// Channel mapping setup buttons and modal
+app.action('confirm_mapping', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleConfirmMapping({ body, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error confirming channel mapping:', error);
+  }
+});
+
+app.action('edit_mapping', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleEditMapping({ body, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error editing channel mapping:', error);
+  }
+});
+
+app.view(CHANNEL_MAPPING_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleMappingSubmission({ body, view, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error saving channel mapping:', error);
+  }
+});
+
 // Handle task approval
 app.action('approve_tasks', async ({ ack, body, client, logger }) => {
   await ack();
   
+  let claimedTask = null;
+  
   try {
     const messageTs = body.actions[0].value;
     const channelId = body.channel.id;
@@ -322,7 +600,7 @@ app.action('approve_tasks', async ({ ack, body, client, logger }) => {
     console.log(`🔘 Button clicked: approve_tasks for message ${messageTs}`);
     
     // Get stored tasks
-    const storedTask = await localStorageService.getTaskByMessage(messageTs, channelId);
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
     
     if (!storedTask) {
       await client.chat.postMessage({
@@ -343,115 +621,155 @@ app.action('approve_tasks', async ({ ack, body, client, logger }) => {
       return;
     }
     
-    // Update status
-    await localStorageService.updateTaskQueue(storedTask.id, {
-      status: 'processing'
-    });
-    
-    // Post "creating tasks" message
-    const processingMsg = await client.chat.postMessage({
-      channel: channelId,
-      text: `🔄 Creating ${storedTask.extracted_tasks.length} task${storedTask.extracted_tasks.length > 1 ? 's' : ''} in Motion...`,
-      thread_ts: messageTs
-    });
-    
     // Use workspace suggestions from stored task
     const workspaceSuggestions = storedTask.workspace_suggestions || [];
     
     if (workspaceSuggestions.length === 0) {
-      await client.chat.update({
+      await client.chat.postMessage({
         channel: channelId,
-        ts: processingMsg.ts,
-        text: `⚠️ No workspace suggestions available.`
+        text: `⚠️ No workspace suggestions available.`,
+        thread_ts: messageTs
       });
       return;
     }
     
-    // Create tasks using suggested workspaces
-    const motionResults = [];
+    // Claim atomically so a double-click can't sync the same tasks twice
+    claimedTask = await taskSyncService.claim(storedTask, ['pending'], {
+      approved_by: body.user.id,
+      slack_team_id: body.team?.id
+    });
+    
+    if (!claimedTask) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `⚠️ Tasks already being processed.`,
+        thread_ts: messageTs
+      });
+      return;
+    }
+    
+    // Post "creating tasks" message; likely duplicates are left out unless someone included them
+    const taskCount = claimedTask.extracted_tasks.filter(t => !t.excluded).length;
+    const processingMsg = await client.chat.postMessage({
+      channel: channelId,
+      text: `🔄 Creating ${taskCount} task${taskCount !== 1 ? 's' : ''} in Motion...`,
+      thread_ts: messageTs
+    });
     
-    console.log(`📊 Processing ${storedTask.extracted_tasks.length} tasks with ${workspaceSuggestions.length} suggestions`);
+    console.log(`📊 Processing ${taskCount} tasks with ${workspaceSuggestions.length} suggestions`);
     
-    for (let i = 0; i < storedTask.extracted_tasks.length; i++) {
-      const task = storedTask.extracted_tasks[i];
+    // Create tasks using suggested workspaces; tasks already in Motion are skipped
+    const motionResult = await taskSyncService.syncTasks(claimedTask, motionService, (task, i) => {
       const suggestion = workspaceSuggestions[i];
       
       if (!suggestion) {
         console.log(`⚠️ No suggestion for task ${i}: ${task.title}`);
-        continue;
+        return null;
       }
       
-      const workspaceId = suggestion.workspace.id;
-      const projectId = suggestion.project?.id || null;
-      
-      console.log(`🎯 [${i+1}/${storedTask.extracted_tasks.length}] Creating task "${task.title}"`);
-      console.log(`   Workspace: ${suggestion.workspace.name} (${workspaceId})`);
-      if (projectId) {
-        console.log(`   Project: ${suggestion.project.name} (${projectId})`);
-      } else {
-        console.log(`   Project: None`);
-      }
+      console.log(`🎯 [${i+1}/${claimedTask.extracted_tasks.length}] Creating task "${task.title}"`);
+      console.log(`   Workspace: ${suggestion.workspace.name} (${suggestion.workspace.id})`);
+      console.log(`   Project: ${suggestion.project ? `${suggestion.project.name} (${suggestion.project.id})` : 'None'}`);
       
-      const result = await motionService.createTask(task, { 
-        workspaceId, 
-        projectId 
+      return {
+        workspaceId: suggestion.workspace.id,
+        projectId: suggestion.project?.id || null
+      };
+    });
+    
+    if (motionResult.newMotionTaskIds.length > 0) {
+      await storageService.addTaskHistory({
+        slack_message_ts: messageTs,
+        slack_channel_id: channelId,
+        original_message: JSON.stringify(motionResult.tasks),
+        extracted_tasks: motionResult.tasks,
+        motion_task_ids: motionResult.newMotionTaskIds,
+        success: motionResult.success
       });
-      
-      console.log(`   Result: ${result.success ? 'SUCCESS' : 'FAILED'} - ${result.success ? result.motionTaskId : result.error}`);
-      
-      motionResults.push(result);
-      
-      // Small delay between task creations
-      if (i < storedTask.extracted_tasks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
     }
     
-    // Combine results
-    const successful = motionResults.filter(r => r.success).length;
-    const failed = motionResults.filter(r => !r.success).length;
-    const motionResult = {
-      success: successful > 0,
-      successful,
-      failed,
-      results: motionResults
-    };
-    
     if (motionResult.success) {
-      await localStorageService.updateTaskQueue(storedTask.id, {
+      await storageService.updateTaskQueue(storedTask.id, {
         status: 'completed'
       });
       
-      await localStorageService.addTaskHistory({
-        slack_message_ts: messageTs,
-        slack_channel_id: channelId,
-        original_message: JSON.stringify(storedTask.extracted_tasks),
-        extracted_tasks: storedTask.extracted_tasks,
-        motion_task_ids: motionResult.results.filter(r => r.success).map(r => r.motionTaskId),
-        success: true
-      });
-      
+      const summary = `✅ Successfully created ${motionResult.successful} task${motionResult.successful !== 1 ? 's' : ''} in Motion!${formatExcludedCount(motionResult.excluded)}`;
       await client.chat.update({
         channel: channelId,
         ts: processingMsg.ts,
-        text: `✅ Successfully created ${motionResult.successful} task${motionResult.successful > 1 ? 's' : ''} in Motion!${motionResult.failed > 0 ? `\n⚠️ ${motionResult.failed} task${motionResult.failed > 1 ? 's' : ''} failed to sync.` : ''}`,
+        text: summary,
+        blocks: buildCreatedTaskBlocks(motionResult.tasks, summary, messageTs)
       });
       
     } else {
-      await localStorageService.updateTaskQueue(storedTask.id, {
-        status: 'failed',
-        error_message: 'Motion API error'
-      });
+      // Failed tasks are retried in the background with the workspace chosen here
+      const retry = await scheduleRetry(claimedTask, {
+        error: `${motionResult.failed} of ${motionResult.total} tasks failed to sync`,
+        retryAfter: motionResult.retryAfter
+      }, client);
+      
+      const failedTasks = motionResult.failed_tasks
+        .map(ft => `• ${ft.task.title}: ${ft.error}`)
+        .join('\n');
       
+      const summary = `${motionResult.successful > 0 ? `⚠️ Created ${motionResult.successful} of ${motionResult.total} tasks in Motion.` : '⚠️ Failed to sync tasks to Motion.'}${retry.status === 'retrying' ? ' The rest will be retried automatically.' : ''}\n❌ Failed tasks:\n${failedTasks}`;
       await client.chat.update({
         channel: channelId,
         ts: processingMsg.ts,
-        text: `⚠️ Failed to sync tasks to Motion. Error: ${motionResult.error || 'Unknown error'}`
+        text: summary,
+        blocks: buildCreatedTaskBlocks(motionResult.tasks, summary, messageTs)
       });
     }
     
   } catch (error) {
     logger.error('Error approving tasks:', error);
+    
+    // Once claimed, the entry is 'processing' and nothing else will pick it up
+    if (claimedTask) {
+      const retry = await scheduleRetry(claimedTask, { error: error.message }, client);
+      
+      await client.chat.postMessage({
+        channel: body.channel.id,
+        text: `❌ Error creating tasks: ${error.message}\n${describeRetry(retry)}`,
+        thread_ts: body.actions[0].value
+      });
+    }
+  }
+});
+
+app.action('include_duplicates', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleIncludeDuplicates({
+      messageTs: body.actions[0].value,
+      channelId: body.channel.id,
+      userId: body.user.id,
+      client
+    });
+  } catch (error) {
+    logger.error('Error including duplicate tasks:', error);
+  }
+});
+
+app.action(/^task_list_(previous|next)$/, async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  
+  try {
+    await handleTaskListPage({ body, client, respond });
+  } catch (error) {
+    logger.error('Error paging task list:', error);
+  }
+});
+
+// Complete, reschedule, reassign or delete a task from the creation confirmation
+app.action(/^created_task_(complete|due|assignee|delete)$/, async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleCreatedTaskAction({ body, client });
+  } catch (error) {
+    logger.error('Error updating created task:', error);
   }
 });
 
@@ -463,10 +781,10 @@ app.action('reject_tasks', async ({ ack, body, client, logger }) => {
     const messageTs = body.actions[0].value;
     const channelId = body.channel.id;
     
-    const storedTask = await localStorageService.getTaskByMessage(messageTs, channelId);
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
     
     if (storedTask) {
-      await localStorageService.updateTaskQueue(storedTask.id, {
+      await storageService.updateTaskQueue(storedTask.id, {
         status: 'failed',
         error_message: 'Rejected by user'
       });
@@ -483,7 +801,7 @@ app.action('reject_tasks', async ({ ack, body, client, logger }) => {
   }
 });
 
-// Handle task editing
+// Handle task editing - opens a modal with every task's fields
 app.action('edit_tasks', async ({ ack, body, client, logger }) => {
   await ack();
   
@@ -491,25 +809,189 @@ app.action('edit_tasks', async ({ ack, body, client, logger }) => {
     const messageTs = body.actions[0].value;
     const channelId = body.channel.id;
     
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (!storedTask || !['pending', 'editing'].includes(storedTask.status)) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `⚠️ These tasks can no longer be edited.`,
+        thread_ts: messageTs
+      });
+      return;
+    }
+    
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildEditTasksModal(storedTask)
+      });
+    } catch (error) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: body.user.id,
+        text: `❌ Sorry, I couldn't open the task editor (${error.data?.error || error.message}). Please try again.`,
+        thread_ts: getEntryThreadTs(storedTask)
+      });
+      throw error;
+    }
+    
+    // Mark the task as "editing" so approval waits and thread replies are picked up
+    await storageService.updateTaskQueue(storedTask.id, {
+      status: 'editing'
+    });
+    
     await client.chat.postMessage({
       channel: channelId,
-      text: `✏️ **Edit Tasks**\n\nReply to this message with your edits. Examples:\n• \`Remove task 2\`\n• \`Change task 1 assignee to Jenny\`\n• \`Update task 1 due date to Monday\`\n• \`Change task 2 workspace to DKC/Product\`\n\nI'll process your edits and show an updated proposal.`,
-      thread_ts: messageTs
+      text: `✏️ <@${body.user.id}> is editing these tasks. You can also reply here with edits like \`Remove task 2\` or \`Change task 1 assignee to Jenny\`.`,
+      thread_ts: getEntryThreadTs(storedTask)
     });
     
-    // Mark the task as "editing" so we can detect replies
-    const storedTask = await localStorageService.getTaskByMessage(messageTs, channelId);
-    if (storedTask) {
-      await localStorageService.updateTaskQueue(storedTask.id, {
-        status: 'editing'
+  } catch (error) {
+    logger.error('Error handling edit tasks:', error);
+  }
+});
+
+// Save edits made in the task modal
+app.view(EDIT_TASKS_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    const { messageTs, channelId } = JSON.parse(view.private_metadata);
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (!storedTask || !['pending', 'editing'].includes(storedTask.status)) {
+      return;
+    }
+    
+    const { tasks, suggestions } = parseEditTasksSubmission(view, storedTask);
+    
+    if (tasks.length === 0) {
+      await storageService.updateTaskQueue(storedTask.id, {
+        status: 'failed',
+        error_message: 'All tasks removed by user'
+      });
+      
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `🗑️ All tasks removed. Use @projectize again to re-analyze.`,
+        thread_ts: messageTs
       });
+      return;
     }
     
+    // Re-resolve any assignees or due dates changed in the modal
+    const preparedTasks = await prepareTasksForPreview(tasks, {
+      client,
+      authorUserId: storedTask.slack_user_id
+    });
+    const preparedSuggestions = suggestions.map((suggestion, index) =>
+      suggestion ? { ...suggestion, task: preparedTasks[index] } : suggestion
+    );
+    
+    await storageService.updateTaskQueue(storedTask.id, {
+      extracted_tasks: preparedTasks,
+      workspace_suggestions: preparedSuggestions,
+      status: 'pending'
+    });
+    
+    await postUpdatedTaskPreview(
+      client,
+      channelId,
+      preparedTasks,
+      preparedSuggestions,
+      storedTask,
+      `edited by <@${body.user.id}>`
+    );
+    
   } catch (error) {
-    logger.error('Error handling edit tasks:', error);
+    logger.error('Error saving task edits:', error);
   }
 });
 
+// Closing the modal without saving releases the tasks for approval again
+app.view({ callback_id: EDIT_TASKS_CALLBACK_ID, type: 'view_closed' }, async ({ ack, view, logger }) => {
+  await ack();
+  
+  try {
+    const { messageTs, channelId } = JSON.parse(view.private_metadata);
+    const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (storedTask && storedTask.status === 'editing') {
+      await storageService.updateTaskQueue(storedTask.id, {
+        status: 'pending'
+      });
+    }
+  } catch (error) {
+    logger.error('Error handling closed edit modal:', error);
+  }
+});
+
+// `/projectize <subcommand>` - replies only to the user who ran it
+app.command(SLASH_COMMAND, async ({ ack, command, client, respond, logger }) => {
+  await ack();
+  
+  await handleSlashCommand({ command, client, respond, logger, extract: extractAndPreview });
+});
+
+// "Extract tasks" message shortcut and its modal
+app.shortcut(EXTRACT_TASKS_SHORTCUT_ID, async ({ ack, shortcut, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleExtractTasksShortcut({ shortcut, client });
+  } catch (error) {
+    logger.error('Error handling extract tasks shortcut:', error);
+  }
+});
+
+app.view(SHORTCUT_TASKS_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleShortcutTasksSubmission({ body, view, client, logger });
+  } catch (error) {
+    logger.error('Error creating tasks from shortcut:', error);
+  }
+});
+
+app.view({ callback_id: SHORTCUT_TASKS_CALLBACK_ID, type: 'view_closed' }, async ({ ack, view, logger }) => {
+  await ack();
+  
+  try {
+    await handleShortcutTasksClosed({ view });
+  } catch (error) {
+    logger.error('Error handling closed extract tasks modal:', error);
+  }
+});
+
+// Options for the Motion workspace/project selects
+app.options('motion_workspace', async ({ options, ack, logger }) => {
+  try {
+    await ack({ options: await loadWorkspaceOptions(options.value) });
+  } catch (error) {
+    logger.error('Error loading workspace options:', error);
+    await ack({ options: [] });
+  }
+});
+
+app.options('motion_project', async ({ options, ack, logger }) => {
+  try {
+    await ack({ options: await loadProjectOptions(options.value, options.block_id, options.view) });
+  } catch (error) {
+    logger.error('Error loading project options:', error);
+    await ack({ options: [] });
+  }
+});
+
+// Re-read channel rules next time they're needed when pins change
+app.event('pin_added', async ({ event }) => {
+  channelRulesService.invalidate(event.channel_id);
+});
+
+app.event('pin_removed', async ({ event }) => {
+  channelRulesService.invalidate(event.channel_id);
+});
+
 // App home
 app.event('app_home_opened', async ({ event, client, logger }) => {
   try {
@@ -547,21 +1029,29 @@ app.error(async (error) => {
 // Start the app
 (async () => {
   try {
+    // Fail fast if the database is missing migrations
+    await checkStorageSchema(storageService, storageBackend);
+    
     const port = process.env.PORT || 3000;
     await app.start(port);
     
+    // Start background retry processor
+    startRetryProcessor(app.client);
+    
     console.log('⚡️ Projectize Full App is running!');
     console.log('🧠 Claude AI: Connected');
     console.log('🎯 Motion API: Connected'); 
-    console.log('💾 Storage: Local files');
+    console.log(`💾 Storage: ${storageBackend}`);
     console.log('🏠 Socket Mode enabled');
     console.log('\n🎉 Ready for task extraction!');
     console.log('Try: @projectize I need to finish the report by Friday');
     
     // Show debug info
-    setTimeout(async () => {
-      await localStorageService.showDebugInfo();
-    }, 1000);
+    if (storageService.showDebugInfo) {
+      setTimeout(async () => {
+        await storageService.showDebugInfo();
+      }, 1000);
+    }
     
   } catch (error) {
     console.error('Failed to start app:', error);
@@ -633,13 +1123,13 @@ function applyEditCommand(command, tasks, suggestions) {
       
     case 'change_assignee':
       if (newTasks[taskIndex]) {
-        newTasks[taskIndex] = { ...newTasks[taskIndex], assignee: newValue };
+        newTasks[taskIndex] = { ...newTasks[taskIndex], assignee: newValue, assignee_status: null };
       }
       break;
       
     case 'change_due_date':
       if (newTasks[taskIndex]) {
-        newTasks[taskIndex] = { ...newTasks[taskIndex], due_date: newValue };
+        newTasks[taskIndex] = { ...newTasks[taskIndex], due_date: newValue, due_date_resolved: null };
       }
       break;
       
@@ -655,8 +1145,8 @@ function applyEditCommand(command, tasks, suggestions) {
   return { tasks: newTasks, suggestions: newSuggestions };
 }
 
-async function postUpdatedTaskPreview(client, channel, tasks, suggestions, threadTs, editCommands) {
-  const editSummary = editCommands.map(cmd => {
+function describeEditCommands(editCommands) {
+  return editCommands.map(cmd => {
     switch (cmd.action) {
       case 'remove':
         return `Removed task ${cmd.taskIndex + 1}`;
@@ -670,32 +1160,21 @@ async function postUpdatedTaskPreview(client, channel, tasks, suggestions, threa
         return `Unknown edit: ${cmd.action}`;
     }
   }).join(', ');
-  
-  const taskBlocks = tasks.map((task, index) => {
-    const suggestion = suggestions[index];
-    let workspaceText = '';
-    
-    if (suggestion) {
-      workspaceText = `\n📁 **${suggestion.workspace.name}**`;
-      if (suggestion.project) {
-        workspaceText += ` > ${suggestion.project.name}`;
-      }
-      workspaceText += ` (${suggestion.confidence} confidence)`;
-      workspaceText += `\n💭 _${suggestion.reasoning}_`;
-    }
-    
-    return {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*${index + 1}. ${task.title}*\n👤 ${task.assignee} ${task.due_date ? `| 📅 ${task.due_date}` : ''} ${task.confidence ? `| 🎯 ${task.confidence}` : ''}\n${task.context ? `_${task.context}_` : ''}${workspaceText}`
-      }
-    };
-  });
+}
+
+// Mentions inside a thread are keyed by their own ts but previewed in the thread
+function getEntryThreadTs(storedTask) {
+  return storedTask.slack_thread_ts || storedTask.slack_message_ts;
+}
+
+// Buttons carry the entry's message ts, which is what approvals look it up by
+async function postUpdatedTaskPreview(client, channel, tasks, suggestions, storedTask, editSummary) {  
+  const messageTs = storedTask.slack_message_ts;
+  const taskBlocks = buildTaskBlocks(tasks, suggestions);
   
   await client.chat.postMessage({
     channel,
-    thread_ts: threadTs,
+    thread_ts: getEntryThreadTs(storedTask),
     blocks: [
       {
         type: 'section',
@@ -705,6 +1184,8 @@ async function postUpdatedTaskPreview(client, channel, tasks, suggestions, threa
         }
       },
       ...taskBlocks,
+      ...buildUnresolvedAssigneeNotice(tasks),
+      ...buildDuplicateNotice(tasks, messageTs),
       {
         type: 'actions',
         elements: [
@@ -713,19 +1194,19 @@ async function postUpdatedTaskPreview(client, channel, tasks, suggestions, threa
             text: { type: 'plain_text', text: '✅ Create in Motion' },
             style: 'primary',
             action_id: 'approve_tasks',
-            value: threadTs
+            value: messageTs
           },
           {
             type: 'button',
             text: { type: 'plain_text', text: '✏️ Edit Again' },
             action_id: 'edit_tasks',
-            value: threadTs
+            value: messageTs
           },
           {
             type: 'button',
             text: { type: 'plain_text', text: '❌ Cancel' },
             action_id: 'reject_tasks',
-            value: threadTs
+            value: messageTs
           }
         ]
       }
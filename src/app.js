@@ -12,14 +12,44 @@ const app = new App({
 });
 
 // Import handlers
-import { handleMention } from './handlers/mention.js';
+import { handleMention, extractTasksFromText } from './handlers/mention.js';
 import { handleQuote } from './handlers/quote.js';
-import { handleBatch, startRetryProcessor } from './handlers/batch.js';
+import { handleCaptureReaction, isCaptureReaction } from './handlers/capture.js';
+import { handleBatch, handleIncludeDuplicates, startRetryProcessor } from './handlers/batch.js';
+import { handleTaskListPage } from './handlers/task-list.js';
+import { handleCreatedTaskAction } from './handlers/created-tasks.js';
+import { SLASH_COMMAND, handleSlashCommand } from './handlers/commands.js';
+import {
+  EXTRACT_TASKS_SHORTCUT_ID,
+  SHORTCUT_TASKS_CALLBACK_ID,
+  handleExtractTasksShortcut,
+  handleShortcutTasksSubmission,
+  handleShortcutTasksClosed
+} from './handlers/shortcut.js';
+import {
+  CHANNEL_MAPPING_CALLBACK_ID,
+  handleConfirmMapping,
+  handleEditMapping,
+  handleMappingSubmission,
+  getTeamId
+} from './handlers/mapping.js';
+import { loadWorkspaceOptions, loadProjectOptions } from './handlers/edit-modal.js';
+import {
+  LINK_MOTION_CALLBACK_ID,
+  buildHomeView,
+  buildLinkMotionModal,
+  handleLinkMotionSubmission
+} from './handlers/link-motion.js';
+import storageService, { storageBackend, checkStorageSchema } from './services/storage.js';
+import UserLinkageService from './services/user-linkage.js';
+import channelRulesService from './services/channel-rules.js';
+
+const userLinkageService = new UserLinkageService(storageService);
 
 // App mention handler - when @projectize is mentioned
-app.event('app_mention', async ({ event, client, logger }) => {
+app.event('app_mention', async ({ event, body, client, logger }) => {
   try {
-    await handleMention({ event, client, logger });
+    await handleMention({ event, teamId: body.team_id, client, logger });
   } catch (error) {
     logger.error('Error handling mention:', error);
   }
@@ -44,7 +74,7 @@ app.message(async ({ message, client, logger }) => {
 });
 
 // Reaction added handler - for task approval/rejection
-app.event('reaction_added', async ({ event, client, logger }) => {
+app.event('reaction_added', async ({ event, body, client, logger }) => {
   try {
     const { reaction, user, item } = event;
     
@@ -55,45 +85,36 @@ app.event('reaction_added', async ({ event, client, logger }) => {
         messageTs: item.ts,
         channelId: item.channel,
         userId: user,
+        teamId: body.team_id,
         client,
         logger
       });
+    } else if (isCaptureReaction(reaction)) {
+      // The capture emoji extracts tasks from the message it was added to
+      await handleCaptureReaction({ event, teamId: body.team_id, client, logger });
     }
   } catch (error) {
     logger.error('Error handling reaction:', error);
   }
 });
 
-// App home opened - welcome message
-app.event('app_home_opened', async ({ event, client, logger }) => {
+// Pin changes - re-read the channel's Projectize rules next time they're needed
+app.event('pin_added', async ({ event }) => {
+  channelRulesService.invalidate(event.channel_id);
+});
+
+app.event('pin_removed', async ({ event }) => {
+  channelRulesService.invalidate(event.channel_id);
+});
+
+// App home opened - welcome message and Motion link status
+app.event('app_home_opened', async ({ event, body, client, logger }) => {
   try {
+    const linkage = await userLinkageService.getLinkage(event.user, body.team_id);
+    
     await client.views.publish({
       user_id: event.user,
-      view: {
-        type: 'home',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '🚀 *Welcome to Projectize!*\n\nI help extract actionable tasks from your conversations and sync them to Motion.\n\n*Getting Started:*\n• Invite me to a channel\n• Mention @projectize or quote text to extract tasks\n• Review and approve task previews\n• Tasks automatically sync to Motion'
-            }
-          },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: {
-                  type: 'plain_text',
-                  text: '🔗 Link Motion Account'
-                },
-                action_id: 'link_motion'
-              }
-            ]
-          }
-        ]
-      }
+      view: buildHomeView(linkage)
     });
   } catch (error) {
     logger.error('Error publishing home view:', error);
@@ -105,15 +126,23 @@ app.action('link_motion', async ({ ack, body, client, logger }) => {
   await ack();
   
   try {
-    await client.chat.postMessage({
-      channel: body.user.id,
-      text: '🔗 Motion account linking coming soon! For now, admin will configure Motion integration.'
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildLinkMotionModal(getTeamId(body))
     });
   } catch (error) {
     logger.error('Error handling link motion:', error);
   }
 });
 
+app.view(LINK_MOTION_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  try {
+    await handleLinkMotionSubmission({ ack, body, view, client, userLinkageService });
+  } catch (error) {
+    logger.error('Error linking Motion account:', error);
+  }
+});
+
 // Handle task approval/rejection buttons
 app.action('approve_tasks', async ({ ack, body, client, logger }) => {
   await ack();
@@ -124,6 +153,7 @@ app.action('approve_tasks', async ({ ack, body, client, logger }) => {
       messageTs: body.actions[0].value,
       channelId: body.channel.id,
       userId: body.user.id,
+      teamId: getTeamId(body),
       client,
       logger
     });
@@ -149,6 +179,130 @@ app.action('reject_tasks', async ({ ack, body, client, logger }) => {
   }
 });
 
+app.action('include_duplicates', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleIncludeDuplicates({
+      messageTs: body.actions[0].value,
+      channelId: body.channel.id,
+      userId: body.user.id,
+      client
+    });
+  } catch (error) {
+    logger.error('Error including duplicate tasks:', error);
+  }
+});
+
+app.action(/^task_list_(previous|next)$/, async ({ ack, body, client, respond, logger }) => {
+  await ack();
+  
+  try {
+    await handleTaskListPage({ body, client, respond });
+  } catch (error) {
+    logger.error('Error paging task list:', error);
+  }
+});
+
+// Complete, reschedule, reassign or delete a task from the creation confirmation
+app.action(/^created_task_(complete|due|assignee|delete)$/, async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleCreatedTaskAction({ body, client });
+  } catch (error) {
+    logger.error('Error updating created task:', error);
+  }
+});
+
+// Channel mapping setup buttons and modal
+app.action('confirm_mapping', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleConfirmMapping({ body, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error confirming channel mapping:', error);
+  }
+});
+
+app.action('edit_mapping', async ({ ack, body, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleEditMapping({ body, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error editing channel mapping:', error);
+  }
+});
+
+app.view(CHANNEL_MAPPING_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleMappingSubmission({ body, view, client, storage: storageService });
+  } catch (error) {
+    logger.error('Error saving channel mapping:', error);
+  }
+});
+
+// `/projectize <subcommand>` - replies only to the user who ran it
+app.command(SLASH_COMMAND, async ({ ack, command, client, respond, logger }) => {
+  await ack();
+  
+  await handleSlashCommand({ command, client, respond, logger, extract: extractTasksFromText });
+});
+
+// "Extract tasks" message shortcut and its modal
+app.shortcut(EXTRACT_TASKS_SHORTCUT_ID, async ({ ack, shortcut, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleExtractTasksShortcut({ shortcut, client });
+  } catch (error) {
+    logger.error('Error handling extract tasks shortcut:', error);
+  }
+});
+
+app.view(SHORTCUT_TASKS_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    await handleShortcutTasksSubmission({ body, view, client, logger });
+  } catch (error) {
+    logger.error('Error creating tasks from shortcut:', error);
+  }
+});
+
+app.view({ callback_id: SHORTCUT_TASKS_CALLBACK_ID, type: 'view_closed' }, async ({ ack, view, logger }) => {
+  await ack();
+  
+  try {
+    await handleShortcutTasksClosed({ view });
+  } catch (error) {
+    logger.error('Error handling closed extract tasks modal:', error);
+  }
+});
+
+// Options for the Motion workspace/project selects
+app.options('motion_workspace', async ({ options, ack, logger }) => {
+  try {
+    await ack({ options: await loadWorkspaceOptions(options.value) });
+  } catch (error) {
+    logger.error('Error loading workspace options:', error);
+    await ack({ options: [] });
+  }
+});
+
+app.options('motion_project', async ({ options, ack, logger }) => {
+  try {
+    await ack({ options: await loadProjectOptions(options.value, options.block_id, options.view) });
+  } catch (error) {
+    logger.error('Error loading project options:', error);
+    await ack({ options: [] });
+  }
+});
+
 // Channel joined handler - setup flow
 app.event('member_joined_channel', async ({ event, client, logger }) => {
   try {
@@ -190,15 +344,19 @@ app.error(async (error) => {
 // Start the app
 (async () => {
   try {
+    // Fail fast if the database is missing migrations
+    await checkStorageSchema(storageService, storageBackend);
+    
     const port = process.env.PORT || 3000;
     await app.start(port);
     
     // Start background retry processor
-    startRetryProcessor();
+    startRetryProcessor(app.client);
     
     console.log('⚡️ Projectize Slack app is running!');
     console.log(`🏠 Socket Mode enabled - no public endpoint needed`);
     console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`💾 Storage: ${storageBackend}`);
     console.log(`📋 Task retry processor started`);
   } catch (error) {
     console.error('Failed to start app:', error);
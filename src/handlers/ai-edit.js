@@ -0,0 +1,137 @@
+import claudeService from '../services/claude.js';
+
+const DIFF_FIELDS = ['title', 'assignee', 'due_date', 'priority', 'context'];
+
+// Ask Claude to apply a free-form edit to the whole task list
+export async function proposeAiTaskEdit(originalTasks, feedback, context = {}) {
+  const result = await claudeService.improveTaskFromFeedback(originalTasks, feedback, context);
+
+  if (!result.success) {
+    return result;
+  }
+
+  const tasks = result.tasks.map(task => mergeWithOriginal(task, originalTasks));
+  const diff = buildTaskDiff(originalTasks, tasks);
+
+  return {
+    success: true,
+    tasks: tasks.map(({ from_tasks: _fromTasks, ...fields }) => fields),
+    summary: result.summary,
+    diff,
+    changed: diff.length > 0
+  };
+}
+
+// Carry over resolved assignee/date details when the AI left those fields alone
+function mergeWithOriginal(task, originalTasks) {
+  const { from_tasks: fromTasks, ...fields } = task;
+  const source = fromTasks.length === 1 ? originalTasks[fromTasks[0]] : null;
+
+  if (!source) {
+    return { ...fields, from_tasks: fromTasks };
+  }
+
+  const merged = { ...source, ...fields, from_tasks: fromTasks };
+  merged.source_message = fields.source_message || source.source_message || null;
+
+  if (fields.assignee !== source.assignee) {
+    merged.assignee_status = null;
+  }
+
+  if (fields.due_date !== source.due_date) {
+    merged.due_date_resolved = null;
+  }
+
+  return merged;
+}
+
+export function buildTaskDiff(before, after) {
+  const lines = [];
+  const referenced = new Set();
+  const targetsBySource = new Map();
+
+  after.forEach((task, index) => {
+    task.from_tasks.forEach(source => {
+      referenced.add(source);
+      if (!targetsBySource.has(source)) targetsBySource.set(source, []);
+      targetsBySource.get(source).push(index);
+    });
+  });
+
+  before.forEach((task, index) => {
+    if (!referenced.has(index)) {
+      lines.push(`- ${index + 1}. ${task.title} (removed)`);
+    }
+  });
+
+  const reportedSplits = new Set();
+
+  after.forEach((task, index) => {
+    const sources = task.from_tasks;
+
+    if (sources.length === 0) {
+      lines.push(`+ ${index + 1}. ${task.title} (new)`);
+      return;
+    }
+
+    if (sources.length > 1) {
+      sources.forEach(source => lines.push(`- ${source + 1}. ${before[source].title}`));
+      lines.push(`+ ${index + 1}. ${task.title} (merged from ${sources.map(s => s + 1).join(', ')})`);
+      return;
+    }
+
+    const source = sources[0];
+    const siblings = targetsBySource.get(source);
+
+    if (siblings.length > 1) {
+      if (!reportedSplits.has(source)) {
+        reportedSplits.add(source);
+        lines.push(`- ${source + 1}. ${before[source].title}`);
+      }
+      lines.push(`+ ${index + 1}. ${task.title} (split from ${source + 1})`);
+      return;
+    }
+
+    const original = before[source];
+    const changes = DIFF_FIELDS
+      .filter(field => (original[field] || '') !== (task[field] || ''))
+      .map(field => `${field}: ${original[field] || '—'} → ${task[field] || '—'}`);
+
+    if (changes.length > 0) {
+      lines.push(`~ ${source + 1}. ${original.title}`);
+      changes.forEach(change => lines.push(`    ${change}`));
+    }
+  });
+
+  return lines;
+}
+
+export function buildAiEditProposalBlocks(proposal, messageTs) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🤖 *Proposed changes*${proposal.summary ? ` — ${proposal.summary}` : ''}\n\`\`\`${proposal.diff.join('\n')}\`\`\``
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '✅ Apply Changes' },
+          style: 'primary',
+          action_id: 'apply_ai_edit',
+          value: messageTs
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '↩️ Discard' },
+          action_id: 'discard_ai_edit',
+          value: messageTs
+        }
+      ]
+    }
+  ];
+}
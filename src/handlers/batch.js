@@ -1,18 +1,25 @@
-import motionService from '../services/motion.js';
-import supabaseService from '../services/supabase.js';
+import storageService from '../services/storage.js';
+import UserLinkageService from '../services/user-linkage.js';
+import TaskSyncService from '../services/task-sync.js';
+import { formatExcludedCount } from './preview.js';
+import { buildCreatedTaskBlocks } from './created-tasks.js';
 
-export async function handleBatch({ action, messageTs, channelId, userId, client, logger }) {
+const userLinkageService = new UserLinkageService(storageService);
+const taskSyncService = new TaskSyncService(storageService);
+
+// Queue-level retry schedule. Each MotionService request already retries
+// short-lived 429/5xx errors itself; this covers longer outages.
+export const MAX_SYNC_ATTEMPTS = parseInt(process.env.MOTION_SYNC_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const RETRY_POLL_INTERVAL_MS = 30 * 1000;
+
+export async function handleBatch({ action, messageTs, channelId, userId, teamId, client, logger }) {
   try {
     // Get the queued tasks for this message
-    const { data: queuedTasks, error } = await supabaseService.supabase
-      .from('task_queue')
-      .select('*')
-      .eq('slack_message_ts', messageTs)
-      .eq('slack_channel_id', channelId)
-      .eq('status', 'pending')
-      .single();
-    
-    if (error || !queuedTasks) {
+    const queuedTasks = await storageService.getTaskByMessage(messageTs, channelId);
+    
+    if (!queuedTasks || queuedTasks.status !== 'pending') {
       await client.chat.postMessage({
         channel: channelId,
         text: `❌ Could not find tasks to ${action}. They may have already been processed.`,
@@ -27,7 +34,7 @@ export async function handleBatch({ action, messageTs, channelId, userId, client
     }
     
     if (action === 'approve') {
-      await handleTaskApproval(queuedTasks, client, channelId, messageTs, userId);
+      await handleTaskApproval(queuedTasks, client, channelId, messageTs, userId, teamId);
       return;
     }
     
@@ -41,10 +48,38 @@ export async function handleBatch({ action, messageTs, channelId, userId, client
   }
 }
 
+// Likely duplicates are excluded from a preview by default; this puts them back
+export async function handleIncludeDuplicates({ messageTs, channelId, userId, client }) {
+  const queuedTasks = await storageService.getTaskByMessage(messageTs, channelId);
+  
+  if (!queuedTasks || queuedTasks.status !== 'pending') {
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `❌ These tasks can no longer be changed. They may have already been processed.`,
+      thread_ts: messageTs
+    });
+    return;
+  }
+  
+  const excluded = queuedTasks.extracted_tasks.filter(task => task.excluded).length;
+  
+  await storageService.updateTaskQueue(queuedTasks.id, {
+    extracted_tasks: queuedTasks.extracted_tasks.map(task => ({ ...task, excluded: false }))
+  });
+  
+  await client.chat.postMessage({
+    channel: channelId,
+    text: excluded > 0
+      ? `➕ <@${userId}> included ${excluded} likely duplicate${excluded > 1 ? 's' : ''}. ${excluded > 1 ? 'They' : 'It'} will be created on approval.`
+      : `No duplicates left to include.`,
+    thread_ts: messageTs
+  });
+}
+
 async function handleTaskRejection(queuedTasks, client, channelId, messageTs) {
   try {
     // Mark tasks as failed/rejected
-    await supabaseService.updateTaskQueue(queuedTasks.id, {
+    await storageService.updateTaskQueue(queuedTasks.id, {
       status: 'failed',
       error_message: 'Rejected by user'
     });
@@ -60,152 +95,283 @@ async function handleTaskRejection(queuedTasks, client, channelId, messageTs) {
   }
 }
 
-async function handleTaskApproval(queuedTasks, client, channelId, messageTs, userId) {
-  try {
-    // Mark as processing
-    await supabaseService.updateTaskQueue(queuedTasks.id, {
-      status: 'processing'
+async function handleTaskApproval(queuedTasks, client, channelId, messageTs, userId, teamId) {
+  // Claim the entry atomically and remember who approved, so retries act as the same Motion user.
+  // A double-click loses the claim here instead of creating every task twice.
+  const claimedTasks = await taskSyncService.claim(queuedTasks, ['pending'], {
+    approved_by: userId,
+    slack_team_id: teamId
+  });
+  
+  if (!claimedTasks) {
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `⚠️ These tasks are already being processed.`,
+      thread_ts: messageTs
     });
+    return;
+  }
+  
+  try {
+    // Create tasks as the approver if they linked a Motion account, otherwise with the admin key
+    const { motion, linked, error: linkError } = await userLinkageService.getMotionServiceForUser(userId, teamId);
     
-    // Post "creating tasks" message
+    // A link that can't be used is never swapped for the admin key; hand the
+    // tasks back so they can be approved again once the account is re-linked
+    if (linkError) {
+      await storageService.updateTaskQueue(claimedTasks.id, { status: 'pending' });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: linkError,
+        thread_ts: messageTs
+      });
+      return;
+    }
+    
+    // Post "creating tasks" message; likely duplicates are left out unless someone included them
+    const taskCount = claimedTasks.extracted_tasks.filter(t => !t.excluded).length;
     const processingMsg = await client.chat.postMessage({
       channel: channelId,
-      text: `🔄 Creating ${queuedTasks.extracted_tasks.length} task${queuedTasks.extracted_tasks.length > 1 ? 's' : ''} in Motion...`,
+      text: `🔄 Creating ${taskCount} task${taskCount !== 1 ? 's' : ''} in Motion...`,
       thread_ts: messageTs
     });
     
-    // Get channel mapping for Motion project info
-    const channelMapping = await supabaseService.getChannelMapping(channelId, 'workspace'); // TODO: get actual workspace ID
-    
-    // Get user linkage for Motion integration (if implementing user-specific tokens)
-    // For now, use admin API key from environment
-    
-    const motionOptions = {
-      workspaceId: process.env.MOTION_WORKSPACE_ID,
-      projectId: channelMapping?.motion_project_id || null
-    };
+    const motionOptions = await getMotionOptions(channelId, teamId);
     
-    // Create tasks in Motion
-    const motionResult = await motionService.createMultipleTasks(
-      queuedTasks.extracted_tasks,
-      motionOptions
+    // Only tasks without a Motion ID yet are sent; a workspace picked for a task in
+    // the edit modal wins over the channel mapping
+    const suggestions = claimedTasks.workspace_suggestions || [];
+    const syncResult = await taskSyncService.syncTasks(
+      claimedTasks,
+      motion,
+      (task, i) => getSuggestedMotionOptions(suggestions[i]) || motionOptions
     );
     
-    if (motionResult.success) {
-      // Update task queue as completed
-      await supabaseService.updateTaskQueue(queuedTasks.id, {
+    if (syncResult.newMotionTaskIds.length > 0) {
+      await recordTaskHistory(claimedTasks, syncResult);
+    }
+    
+    if (syncResult.success) {
+      await storageService.updateTaskQueue(claimedTasks.id, {
         status: 'completed'
       });
       
-      // Store in history
-      const motionTaskIds = motionResult.results
-        .filter(r => r.success)
-        .map(r => r.motionTaskId);
-        
-      await supabaseService.addTaskHistory({
-        slack_message_ts: messageTs,
-        slack_channel_id: channelId,
-        original_message: JSON.stringify(queuedTasks.extracted_tasks),
-        extracted_tasks: queuedTasks.extracted_tasks,
-        motion_task_ids: motionTaskIds,
-        success: true
-      });
-      
-      // Update success message
+      // Each created task gets controls to complete, reschedule, reassign or delete it
+      const summary = `✅ Successfully created ${syncResult.successful} task${syncResult.successful !== 1 ? 's' : ''} in Motion${linked ? ` as <@${userId}>` : ''}!${formatExcludedCount(syncResult.excluded)}`;
       await client.chat.update({
         channel: channelId,
         ts: processingMsg.ts,
-        text: `✅ Successfully created ${motionResult.successful} task${motionResult.successful > 1 ? 's' : ''} in Motion!${motionResult.failed > 0 ? `\n⚠️ ${motionResult.failed} task${motionResult.failed > 1 ? 's' : ''} failed to sync.` : ''}`,
+        text: summary,
+        blocks: buildCreatedTaskBlocks(syncResult.tasks, summary, messageTs)
       });
       
-      // Post failure details if any
-      if (motionResult.failed > 0) {
-        const failedTasks = motionResult.failed_tasks
-          .map(ft => `• ${ft.task.title}: ${ft.error}`)
-          .join('\n');
-          
-        await client.chat.postMessage({
-          channel: channelId,
-          thread_ts: messageTs,
-          text: `❌ Failed tasks:\n${failedTasks}`
-        });
-      }
-      
     } else {
-      // Motion sync failed completely
-      await supabaseService.updateTaskQueue(queuedTasks.id, {
-        status: 'failed',
-        error_message: 'Motion API error',
-        retry_count: (queuedTasks.retry_count || 0) + 1
-      });
+      // Some or all tasks failed; the ones that were created won't be sent again
+      const retry = await scheduleRetry(claimedTasks, {
+        error: `${syncResult.failed} of ${syncResult.total} tasks failed to sync`,
+        retryAfter: syncResult.retryAfter
+      }, client);
+      
+      const created = syncResult.successful > 0
+        ? `⚠️ Created ${syncResult.successful} of ${syncResult.total} tasks in Motion.`
+        : `⚠️ Failed to sync tasks to Motion.`;
       
+      const summary = `${created} ${describeRetry(retry)}`;
       await client.chat.update({
         channel: channelId,
         ts: processingMsg.ts,
-        text: `⚠️ Failed to sync tasks to Motion. They've been queued for retry.`
+        text: summary,
+        blocks: buildCreatedTaskBlocks(syncResult.tasks, summary, messageTs)
+      });
+      
+      const failedTasks = syncResult.failed_tasks
+        .map(ft => `• ${ft.task.title}: ${ft.error}`)
+        .join('\n');
+        
+      await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: messageTs,
+        text: `❌ Failed tasks:\n${failedTasks}`
       });
     }
     
   } catch (error) {
     console.error('Task approval error:', error);
     
-    // Mark as failed and increment retry count
-    await supabaseService.updateTaskQueue(queuedTasks.id, {
-      status: 'failed',
-      error_message: error.message,
-      retry_count: (queuedTasks.retry_count || 0) + 1
-    });
+    const retry = await scheduleRetry(claimedTasks, { error: error.message }, client);
     
     await client.chat.postMessage({
       channel: channelId,
-      text: `❌ Error creating tasks: ${error.message}`,
+      text: `❌ Error creating tasks: ${error.message}\n${describeRetry(retry)}`,
       thread_ts: messageTs
     });
   }
 }
 
+export function describeRetry(retry) {
+  if (retry.status === 'dead_letter') {
+    return `Giving up after ${retry.attempts} attempts.`;
+  }
+  
+  return `Will retry the rest <!date^${Math.floor(new Date(retry.nextAttemptAt).getTime() / 1000)}^{time}|shortly>.`;
+}
+
+// Exponential backoff with jitter, but never sooner than Motion's retry-after
+export function getRetryDelay(attempt, retryAfterSeconds = null) {
+  const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jittered = backoff / 2 + Math.random() * (backoff / 2);
+  
+  return Math.max(jittered, (retryAfterSeconds || 0) * 1000);
+}
+
+// Record a failed sync attempt: schedule the next one, or move the entry to
+// dead_letter and tell the requester once attempts run out
+export async function scheduleRetry(queueEntry, { error, retryAfter = null }, client) {
+  const attempts = (queueEntry.retry_count || 0) + 1;
+  
+  if (attempts >= MAX_SYNC_ATTEMPTS) {
+    const deadEntry = await storageService.updateTaskQueue(queueEntry.id, {
+      status: 'dead_letter',
+      retry_count: attempts,
+      error_message: error,
+      next_attempt_at: null
+    });
+    
+    await notifyDeadLetter(deadEntry || queueEntry, error, client);
+    return { status: 'dead_letter', attempts };
+  }
+  
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts, retryAfter)).toISOString();
+  
+  await storageService.updateTaskQueue(queueEntry.id, {
+    status: 'retrying',
+    retry_count: attempts,
+    error_message: error,
+    next_attempt_at: nextAttemptAt
+  });
+  
+  return { status: 'retrying', attempts, nextAttemptAt };
+}
+
+async function notifyDeadLetter(queueEntry, error, client) {
+  // Whoever asked for the tasks: the reactor for captured messages, otherwise the mentioner
+  const requester = queueEntry.triggered_by || queueEntry.slack_user_id || queueEntry.approved_by;
+  
+  if (!client || !requester) {
+    return;
+  }
+  
+  const pendingTitles = (queueEntry.extracted_tasks || [])
+    .filter(task => task.sync_status !== 'created')
+    .map(task => `• ${task.title}`)
+    .join('\n');
+  
+  try {
+    let link = '';
+    try {
+      const permalink = await client.chat.getPermalink({
+        channel: queueEntry.slack_channel_id,
+        message_ts: queueEntry.slack_message_ts
+      });
+      link = ` (<${permalink.permalink}|original message>)`;
+    } catch (permalinkError) {
+      // The message may be gone; the DM is still useful without the link
+    }
+    
+    await client.chat.postMessage({
+      channel: requester,
+      text: `❌ I couldn't create some tasks in Motion after ${queueEntry.retry_count || MAX_SYNC_ATTEMPTS} attempts${link}.\n${pendingTitles}\n\nLast error: ${error}\nPlease create them manually or try again later.`
+    });
+  } catch (dmError) {
+    console.error('Failed to send dead-letter notification:', dmError);
+  }
+}
+
+export async function getMotionOptions(channelId, teamId) {
+  // Get channel mapping for Motion project info
+  const channelMapping = await storageService.getChannelMapping(channelId, teamId);
+  
+  return {
+    workspaceId: channelMapping?.motion_workspace_id || process.env.MOTION_WORKSPACE_ID,
+    projectId: channelMapping?.motion_project_id || null
+  };
+}
+
+function getSuggestedMotionOptions(suggestion) {
+  if (!suggestion?.workspace?.id) return null;
+  
+  return {
+    workspaceId: suggestion.workspace.id,
+    projectId: suggestion.project?.id || null
+  };
+}
+
+async function recordTaskHistory(queueEntry, syncResult) {
+  await storageService.addTaskHistory({
+    slack_message_ts: queueEntry.slack_message_ts,
+    slack_channel_id: queueEntry.slack_channel_id,
+    original_message: JSON.stringify(syncResult.tasks),
+    extracted_tasks: syncResult.tasks,
+    motion_task_ids: syncResult.newMotionTaskIds,
+    success: syncResult.success
+  });
+}
+
 // Background retry processor
-export async function processRetryQueue() {
+export async function processRetryQueue(client) {
   try {
-    const pendingTasks = await supabaseService.getPendingTasks(5); // Process 5 at a time
-    
-    for (const task of pendingTasks) {
-      if (task.retry_count >= 3) {
-        // Mark as permanently failed after 3 retries
-        await supabaseService.updateTaskQueue(task.id, {
-          status: 'failed',
-          error_message: 'Max retries exceeded'
-        });
+    const dueTasks = await storageService.getDueRetries(5); // Process 5 at a time
+    
+    for (const task of dueTasks) {
+      const claimedTask = await taskSyncService.claim(task, ['retrying']);
+      if (!claimedTask) {
         continue;
       }
       
       try {
-        // Retry Motion sync
-        const motionResult = await motionService.createMultipleTasks(task.extracted_tasks);
+        // Retry Motion sync as the same user who approved the tasks, skipping tasks already
+        // created and reusing the workspace/project each task was approved with
+        const { motion, error: linkError } = await userLinkageService.getMotionServiceForUser(task.approved_by, task.slack_team_id);
+        if (linkError) {
+          throw new Error(`<@${task.approved_by}>'s linked Motion account needs to be linked again`);
+        }
+        
+        const fallbackOptions = await getMotionOptions(task.slack_channel_id, task.slack_team_id);
+        const syncResult = await taskSyncService.syncTasks(
+          claimedTask,
+          motion,
+          syncTask => syncTask.motion_options || fallbackOptions
+        );
         
-        if (motionResult.success) {
-          await supabaseService.updateTaskQueue(task.id, {
-            status: 'completed'
+        if (syncResult.newMotionTaskIds.length > 0) {
+          await recordTaskHistory(claimedTask, syncResult);
+        }
+        
+        if (syncResult.success) {
+          await storageService.updateTaskQueue(task.id, {
+            status: 'completed',
+            next_attempt_at: null
           });
           console.log(`✅ Retry successful for task ${task.id}`);
+          
+          if (client) {
+            await client.chat.postMessage({
+              channel: task.slack_channel_id,
+              thread_ts: task.slack_message_ts,
+              text: `✅ Retry succeeded: all ${syncResult.total} task${syncResult.total !== 1 ? 's are' : ' is'} now in Motion.`
+            });
+          }
         } else {
-          await supabaseService.updateTaskQueue(task.id, {
-            status: 'pending', // Keep pending for next retry
-            retry_count: task.retry_count + 1,
-            error_message: 'Motion sync failed'
-          });
+          const retry = await scheduleRetry(claimedTask, {
+            error: `${syncResult.failed} of ${syncResult.total} tasks failed to sync`,
+            retryAfter: syncResult.retryAfter
+          }, client);
+          console.log(`⏳ Retry ${retry.attempts} failed for task ${task.id} (${retry.status})`);
         }
         
       } catch (error) {
-        await supabaseService.updateTaskQueue(task.id, {
-          status: 'pending',
-          retry_count: task.retry_count + 1,
-          error_message: error.message
-        });
+        await scheduleRetry(claimedTask, { error: error.message }, client);
       }
-      
-      // Rate limit between retries
-      await new Promise(resolve => setTimeout(resolve, 2000));
     }
     
   } catch (error) {
@@ -213,8 +379,23 @@ export async function processRetryQueue() {
   }
 }
 
-// Start retry processor (call this in main app)
-export function startRetryProcessor() {
-  setInterval(processRetryQueue, 5 * 60 * 1000); // Every 5 minutes
+// Start retry processor (call this in main app). The client is used to
+// post retry results and dead-letter notifications.
+export function startRetryProcessor(client) {
+  let running = false;
+  
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow run
+    if (running) return;
+    running = true;
+    try {
+      await processRetryQueue(client);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(tick, RETRY_POLL_INTERVAL_MS);
   console.log('📋 Task retry processor started');
-}
\ No newline at end of file
+  return timer;
+}
@@ -0,0 +1,285 @@
+import claudeService from '../services/claude.js';
+import channelRulesService from '../services/channel-rules.js';
+import storageService from '../services/storage.js';
+import ConversationAnalyzerService from '../services/conversation-analyzer.js';
+import {
+  prepareTasksForPreview,
+  markDuplicateTasks,
+  buildTaskBlocks,
+  buildUnresolvedAssigneeNotice,
+  buildRejectedTasksNotice,
+  buildDuplicateNotice,
+  formatRejectedTasks
+} from './preview.js';
+import { getMotionOptions } from './batch.js';
+
+const conversationAnalyzer = new ConversationAnalyzerService(claudeService);
+
+// The emoji that captures a message, without colons (e.g. "memo" or a custom "todo").
+// Skin-tone variants count as the same emoji. Unset disables capture.
+export function getCaptureReaction() {
+  return (process.env.CAPTURE_REACTION || '').trim().replace(/^:|:$/g, '') || null;
+}
+
+export function isCaptureReaction(reaction) {
+  const captureReaction = getCaptureReaction();
+  return Boolean(captureReaction && reaction?.split('::')[0] === captureReaction);
+}
+
+export function isCapturableMessage(message) {
+  return Boolean(message) && conversationAnalyzer.isRelevantMessage({ type: 'message', ...message });
+}
+
+// Extraction shared by every way of capturing a message: the messages are read as
+// a transcript, then assignees, due dates and likely duplicates are resolved.
+// Assignees like "me" and dates like "Friday" are read as the author meant them.
+export async function extractTasksFromMessages({ client, channel, teamId, messages, authorUserId }) {
+  // Pinned "Projectize rules" for this channel are passed to the AI as extra instructions
+  const channelRules = await channelRulesService.getRules(client, channel);
+
+  const extractionResult = await conversationAnalyzer.analyzeMessages(client, channel, messages, {
+    readmeRules: channelRules.text || undefined
+  });
+
+  if (!extractionResult.success || extractionResult.tasks.length === 0) {
+    return extractionResult;
+  }
+
+  const preparedTasks = await prepareTasksForPreview(extractionResult.tasks, {
+    client,
+    authorUserId,
+    slackUserMap: extractionResult.userMap
+  });
+
+  const tasks = await markDuplicateTasks(preparedTasks, {
+    client,
+    channelId: channel,
+    defaultTarget: await getMotionOptions(channel, teamId)
+  });
+
+  return { ...extractionResult, tasks };
+}
+
+// Reacting to a message with the capture emoji extracts tasks from it (and from
+// its whole thread when CAPTURE_INCLUDE_THREAD=true) and previews them in-thread,
+// as if the reactor had mentioned the bot there
+export async function handleCaptureReaction({ event, teamId, client, logger }) {
+  const { reaction, user, item } = event;
+  const channel = item.channel;
+
+  if (item.type !== 'message') return;
+
+  let claim = null;
+
+  try {
+    const message = await fetchMessage(client, channel, item.ts);
+
+    if (!isCapturableMessage(message)) {
+      await postEphemeral(client, channel, user, `🤔 There's nothing I can capture tasks from in that message.`);
+      return;
+    }
+
+    claim = await claimCapture({
+      messageTs: item.ts,
+      channelId: channel,
+      authorUserId: message.user,
+      triggeredBy: user
+    });
+
+    if (!claim) {
+      await postEphemeral(client, channel, user, `👀 Tasks from that message were already captured. Check its thread.`);
+      return;
+    }
+
+    const threadTs = message.thread_ts || message.ts;
+    const includeThread = process.env.CAPTURE_INCLUDE_THREAD === 'true' && (message.thread_ts || message.reply_count > 0);
+    const messages = includeThread
+      ? await conversationAnalyzer.getThreadMessages(client, channel, threadTs)
+      : [message];
+
+    console.log(`📥 :${reaction}: capture by ${user} on ${channel}/${item.ts} (${messages.length} message${messages.length !== 1 ? 's' : ''})`);
+
+    const extractionResult = await extractTasksFromMessages({
+      client,
+      channel,
+      teamId,
+      messages,
+      authorUserId: message.user
+    });
+
+    if (!extractionResult.success || extractionResult.tasks.length === 0) {
+      await releaseCapture(claim, extractionResult.success ? 'No tasks found' : extractionResult.error);
+    }
+
+    if (!extractionResult.success) {
+      await client.chat.postMessage({
+        channel,
+        text: `⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`,
+        thread_ts: threadTs
+      });
+      return;
+    }
+
+    if (extractionResult.tasks.length === 0 && extractionResult.rejected?.length > 0) {
+      await client.chat.postMessage({
+        channel,
+        text: `⚠️ I found possible tasks but the AI returned them in an invalid format:\n${formatRejectedTasks(extractionResult.rejected)}`,
+        thread_ts: threadTs
+      });
+      return;
+    }
+
+    if (extractionResult.tasks.length === 0) {
+      await postEphemeral(client, channel, user, `🤔 I didn't find any clear actionable tasks in ${includeThread ? 'that thread' : 'that message'}.`);
+      return;
+    }
+
+    const tasks = extractionResult.tasks;
+
+    const storedTask = await storeCapturedTasks({ claim, tasks });
+    if (!storedTask) return;
+
+    await postCapturePreview(client, channel, tasks, {
+      messageTs: item.ts,
+      threadTs,
+      reaction,
+      triggeredBy: user,
+      includeThread,
+      rejected: extractionResult.rejected
+    });
+
+  } catch (error) {
+    logger.error('Error in handleCaptureReaction:', error);
+    await releaseCapture(claim, error.message);
+    await postEphemeral(client, channel, user, `❌ Sorry, something went wrong capturing tasks from that message.`);
+  }
+}
+
+// Channel history doesn't include thread replies, so fall back to the thread
+async function fetchMessage(client, channel, ts) {
+  const history = await client.conversations.history({
+    channel,
+    latest: ts,
+    oldest: ts,
+    inclusive: true,
+    limit: 1
+  });
+
+  const message = history.messages?.find(msg => msg.ts === ts);
+  if (message) return message;
+
+  const replies = await client.conversations.replies({
+    channel,
+    ts,
+    latest: ts,
+    oldest: ts,
+    inclusive: true,
+    limit: 1
+  });
+
+  return replies.messages?.find(msg => msg.ts === ts) || null;
+}
+
+async function postCapturePreview(client, channel, tasks, { messageTs, threadTs, reaction, triggeredBy, includeThread, rejected = [] }) {
+  const taskBlocks = buildTaskBlocks(tasks);
+  const source = includeThread ? 'this thread' : 'this message';
+
+  await client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: `📋 Found ${tasks.length} task${tasks.length > 1 ? 's' : ''} in ${source}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `📋 *Found ${tasks.length} task${tasks.length > 1 ? 's' : ''} in ${source}:*`
+        }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Captured by <@${triggeredBy}> with :${reaction}:` }]
+      },
+      ...taskBlocks,
+      ...buildUnresolvedAssigneeNotice(tasks),
+      ...buildRejectedTasksNotice(rejected),
+      ...buildDuplicateNotice(tasks, messageTs),
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '✅ Create Tasks' },
+            style: 'primary',
+            action_id: 'approve_tasks',
+            value: messageTs
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '❌ Cancel' },
+            action_id: 'reject_tasks',
+            value: messageTs
+          }
+        ]
+      }
+    ]
+  });
+}
+
+// Each message is captured once, but extracting takes a while, so a placeholder
+// entry claims the message first; a second reaction or the shortcut arriving in the
+// meantime sees it as taken. A rejected preview can be captured again.
+// slack_user_id is the author of the captured message; triggered_by is who captured it.
+// Returns the placeholder, or null if the message was already captured.
+export async function claimCapture({ messageTs, channelId, authorUserId, triggeredBy }) {
+  const existing = await storageService.getTaskByMessage(messageTs, channelId);
+  if (existing && existing.status !== 'failed') {
+    return null;
+  }
+
+  const placeholder = await storageService.addToTaskQueue({
+    slack_message_ts: messageTs,
+    slack_channel_id: channelId,
+    slack_user_id: authorUserId,
+    triggered_by: triggeredBy,
+    extracted_tasks: [],
+    status: 'pending'
+  });
+
+  // Held as "processing" so nothing approves the empty placeholder
+  return storageService.updateTaskQueue(placeholder.id, { status: 'processing' });
+}
+
+// Saves the extracted tasks on the claim. Two captures can both pass the check in
+// claimCapture, so the latest claim wins and the other steps aside (returns null).
+export async function storeCapturedTasks({ claim, tasks, status = 'pending' }) {
+  const latest = await storageService.getTaskByMessage(claim.slack_message_ts, claim.slack_channel_id);
+
+  if (latest?.id !== claim.id) {
+    await releaseCapture(claim, 'Captured by another request');
+    return null;
+  }
+
+  return storageService.updateTaskQueue(claim.id, {
+    extracted_tasks: tasks,
+    status
+  });
+}
+
+// Frees the message so it can be captured again
+export async function releaseCapture(claim, reason) {
+  if (!claim) return;
+
+  try {
+    await storageService.updateTaskQueue(claim.id, {
+      status: 'failed',
+      error_message: `Capture failed: ${reason}`
+    });
+  } catch (error) {
+    console.error('Failed to release capture:', error);
+  }
+}
+
+async function postEphemeral(client, channel, user, text) {
+  await client.chat.postEphemeral({ channel, user, text });
+}
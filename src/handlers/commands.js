@@ -0,0 +1,408 @@
+import claudeService from '../services/claude.js';
+import motionService from '../services/motion.js';
+import storageService, { storageBackend } from '../services/storage.js';
+import channelRulesService from '../services/channel-rules.js';
+import { MAX_HISTORY_MESSAGES } from '../services/conversation-analyzer.js';
+import { parseMessage } from '../utils/parser.js';
+import { handleChannelSetup } from './mapping.js';
+import { handleTaskListCommand } from './task-list.js';
+import { getCaptureReaction } from './capture.js';
+import { MAX_SYNC_ATTEMPTS } from './batch.js';
+
+// The slash command in SLACK_APP_MANIFEST
+export const SLASH_COMMAND = '/projectize';
+
+const QUEUE_LIMIT = 15;
+const HISTORY_LIMIT = 10;
+const HISTORY_TASK_NAMES = 5;
+const STATUS_QUEUE_LIMIT = 100;
+const STATUS_HISTORY_LIMIT = 20;
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  editing: '✏️',
+  processing: '🔄',
+  retrying: '🔁',
+  completed: '✅',
+  failed: '❌',
+  dead_letter: '🪦'
+};
+
+const COMMAND_HANDLERS = {
+  help: sendHelp,
+  setup: runSetup,
+  status: sendStatus,
+  queue: sendQueue,
+  mapping: sendMapping,
+  history: sendHistory,
+  config: sendConfig,
+  my_tasks: sendTaskList,
+  channel_tasks: sendTaskList
+};
+
+// Commands shared by `@projectize <command>` and `/projectize <command>`. ctx holds
+// { client, channel, userId, teamId, threadTs, source, reply, extractionHelp }, where
+// reply({ text, blocks }) answers in the mention's thread or ephemerally to the slash
+// command. Returns false for anything that isn't a command, i.e. text to extract from.
+export async function routeCommand({ command, channelId }, ctx) {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return false;
+
+  await handler({ ...ctx, command, targetChannelId: channelId });
+  return true;
+}
+
+// `/projectize extract <text>` extracts from the text; anything else is a command
+export function parseSlashCommand(text) {
+  const cleanText = (text || '').trim();
+
+  if (!cleanText) {
+    return { command: 'help' };
+  }
+
+  const extractMatch = cleanText.match(/^extract\b\s*([\s\S]*)$/i);
+  if (extractMatch) {
+    return { command: 'extract', content: extractMatch[1].trim() };
+  }
+
+  const parsed = parseMessage(cleanText);
+  return parsed.command ? parsed : { command: 'unknown', content: cleanText };
+}
+
+// `/projectize` replies are only visible to the user who ran it, except for setup and
+// extract, which post in the channel so others can confirm the mapping or the tasks.
+// `extract` is the app's own text extraction ({ client, channel, user, teamId, ts, content }).
+export async function handleSlashCommand({ command, client, respond, logger, extract }) {
+  const reply = message => respond({ response_type: 'ephemeral', ...message });
+  const parsed = parseSlashCommand(command.text);
+
+  const ctx = {
+    client,
+    channel: command.channel_id,
+    userId: command.user_id,
+    teamId: command.team_id,
+    source: 'slash',
+    reply
+  };
+
+  try {
+    if (parsed.command === 'extract') {
+      await runExtract(parsed.content, ctx, extract);
+      return;
+    }
+
+    if (parsed.command === 'unknown') {
+      await sendHelp({ ...ctx, intro: `🤔 I don't know \`${SLASH_COMMAND} ${parsed.content}\`. Here's what I can do:` });
+      return;
+    }
+
+    await routeCommand(parsed, ctx);
+
+  } catch (error) {
+    logger.error('Error handling slash command:', error);
+
+    const notInChannel = ['not_in_channel', 'channel_not_found'].includes(error.data?.error);
+    await reply({
+      text: notInChannel
+        ? `👋 I'm not in this channel yet. Invite me with \`/invite @projectize\` and try again.`
+        : `❌ Sorry, something went wrong running \`${SLASH_COMMAND} ${command.text}\`.`
+    });
+  }
+}
+
+async function runExtract(content, ctx, extract) {
+  const { client, channel, userId, teamId, reply } = ctx;
+
+  if (!content || content.length < 10) {
+    await reply({ text: `✍️ Give me something to extract tasks from, e.g. \`${SLASH_COMMAND} extract Jenny needs to finish the website by Tuesday\`` });
+    return;
+  }
+
+  // Previews, approvals and created tasks are threaded under a message, so post the text as one
+  const anchor = await client.chat.postMessage({
+    channel,
+    text: `📝 <@${userId}> asked me to extract tasks from:\n${content.split('\n').map(line => `> ${line}`).join('\n')}`
+  });
+
+  await extract({ client, channel, user: userId, teamId, ts: anchor.ts, content });
+}
+
+async function sendHelp({ source, reply, extractionHelp = [], intro }) {
+  const prefix = source === 'slash' ? SLASH_COMMAND : '@projectize';
+  const extraction = source === 'slash'
+    ? [`• \`${SLASH_COMMAND} extract [text]\` - Extract tasks from the text and preview them in this channel`]
+    : extractionHelp;
+
+  const commands = [
+    ...extraction,
+    `• \`${prefix} my tasks\` - List your open Motion tasks`,
+    `• \`${prefix} tasks\` or \`tasks for #channel\` - List a channel's open Motion tasks`,
+    `• \`${prefix} setup\` - Map this channel to a Motion project`,
+    `• \`${prefix} mapping\` - Show which Motion project this channel is mapped to`,
+    `• \`${prefix} queue\` - Show this channel's recent extractions and where they're at`,
+    `• \`${prefix} history\` - Show tasks recently created from this channel`,
+    `• \`${prefix} status\` - Check the AI, Motion and storage, and this channel's mapping and queue`,
+    `• \`${prefix} config\` - Show the current settings`,
+    `• \`${prefix} help\` - Show this help`
+  ];
+
+  await reply({
+    text: '🚀 Projectize Help',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: intro || '*🚀 Projectize Help*\n\nI help extract actionable tasks from your conversations and sync them to Motion.'
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*How to use:*\n${commands.join('\n')}`
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*Examples:*\n• "Jenny needs to finish the website by Tuesday"\n• "We should schedule the client call for next week"\n• "I\'ll handle the presentation slides before Friday"'
+        }
+      }
+    ]
+  });
+}
+
+// Setup posts its suggestion in the channel, so whoever maps it next sees the current state
+async function runSetup({ client, channel, teamId }) {
+  const channelInfo = await client.conversations.info({ channel });
+
+  await handleChannelSetup({
+    client,
+    channel,
+    channelInfo,
+    teamId,
+    storage: storageService
+  });
+}
+
+// Health of every service, plus where this channel's tasks go and how its queue is doing
+async function sendStatus({ channel, teamId, source, reply }) {
+  const [ai, motion, storage] = await Promise.all([
+    claudeService.healthCheck(),
+    motionService.healthCheck(),
+    storageService.healthCheck()
+  ]);
+
+  // These throw when storage is down, which is when status matters most
+  const [mapping, entries, history] = await Promise.allSettled([
+    storageService.getChannelMapping(channel, teamId),
+    storageService.getChannelTaskQueue(channel, STATUS_QUEUE_LIMIT),
+    storageService.getTaskHistory(channel, STATUS_HISTORY_LIMIT)
+  ]);
+
+  const checks = [
+    { label: `AI (${ai.provider})`, result: ai },
+    { label: 'Motion', result: motion },
+    { label: `Storage (${storage.storage})`, result: storage }
+  ];
+  const healthy = checks.every(check => check.result.healthy);
+  const setup = source === 'slash' ? `${SLASH_COMMAND} setup` : '@projectize setup';
+
+  let mappingText = '⚠️ Unavailable';
+  if (mapping.status === 'fulfilled') {
+    mappingText = mapping.value ? `📁 ${mapping.value.project_name || 'Not specified'}` : `Not mapped — run \`${setup}\``;
+  }
+
+  let queueText = '⚠️ Unavailable';
+  if (entries.status === 'fulfilled') {
+    const counts = { pending: 0, processing: 0, failed: 0 };
+    entries.value.forEach(entry => {
+      // Entries mid-sync or waiting on a retry are still being processed; dead letters have failed for good
+      const status = { editing: 'pending', retrying: 'processing', dead_letter: 'failed' }[entry.status] || entry.status;
+      if (status in counts) counts[status]++;
+    });
+    queueText = `${STATUS_ICONS.pending} ${counts.pending} pending · ${STATUS_ICONS.processing} ${counts.processing} processing · ${STATUS_ICONS.failed} ${counts.failed} failed`;
+  }
+
+  let lastSyncText = '⚠️ Unavailable';
+  if (history.status === 'fulfilled') {
+    const lastSync = history.value.find(entry => entry.success);
+    lastSyncText = lastSync ? formatSlackDate(lastSync.created_at) : 'Never';
+  }
+
+  await reply({
+    text: `${healthy ? '✅' : '⚠️'} Projectize status: ${healthy ? 'all services healthy' : 'some services are unhealthy'}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `${healthy ? '✅' : '⚠️'} *Projectize status* — ${healthy ? 'all services healthy' : 'some services are unhealthy'}`
+        }
+      },
+      {
+        type: 'section',
+        fields: checks.map(({ label, result }) => ({
+          type: 'mrkdwn',
+          text: `*${label}*\n${result.healthy ? '✅ Healthy' : `❌ ${result.error || 'Unhealthy'}`}`
+        }))
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        fields: [
+          {
+            type: 'mrkdwn',
+            text: `*🗺️ Motion mapping*\n${mappingText}`
+          },
+          {
+            type: 'mrkdwn',
+            text: `*🕘 Last successful sync*\n${lastSyncText}`
+          },
+          {
+            type: 'mrkdwn',
+            text: `*📥 Queue*\n${queueText}`
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Queue counts cover this channel's last ${STATUS_QUEUE_LIMIT} extractions. Checked ${formatSlackDate(new Date().toISOString())}.`
+        }]
+      }
+    ]
+  });
+}
+
+async function sendQueue({ channel, reply }) {
+  const entries = await storageService.getChannelTaskQueue(channel, QUEUE_LIMIT);
+
+  if (entries.length === 0) {
+    await reply({ text: `📭 I haven't extracted any tasks in this channel yet.` });
+    return;
+  }
+
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+
+  const summary = Object.entries(counts)
+    .map(([status, count]) => `${STATUS_ICONS[status] || '•'} ${count} ${status.replace('_', ' ')}`)
+    .join(' · ');
+
+  const lines = entries.map(entry => {
+    const taskCount = entry.extracted_tasks?.length || 0;
+    const details = [
+      `${taskCount} task${taskCount !== 1 ? 's' : ''}`,
+      `from <@${entry.triggered_by || entry.slack_user_id}>`,
+      formatSlackDate(entry.created_at)
+    ];
+    const error = ['failed', 'dead_letter', 'retrying'].includes(entry.status) && entry.error_message
+      ? `\n      _${entry.error_message}_`
+      : '';
+
+    return `${STATUS_ICONS[entry.status] || '•'} *${entry.status.replace('_', ' ')}* — ${details.join(' · ')}${error}`;
+  });
+
+  await reply({
+    text: `📥 Recent extractions in this channel: ${summary}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `📥 *Recent extractions in this channel*\n${summary}` }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: lines.join('\n') }
+      }
+    ]
+  });
+}
+
+async function sendMapping({ channel, teamId, source, reply }) {
+  const mapping = await storageService.getChannelMapping(channel, teamId);
+  const setup = source === 'slash' ? `${SLASH_COMMAND} setup` : '@projectize setup';
+
+  if (!mapping) {
+    await reply({ text: `🗺️ This channel isn't mapped to a Motion project yet. Run \`${setup}\` to map it.` });
+    return;
+  }
+
+  const lines = [
+    `📁 Project: *${mapping.project_name || 'Not specified'}*`,
+    `🏢 Workspace: \`${mapping.motion_workspace_id}\`${mapping.motion_project_id ? ` · Project \`${mapping.motion_project_id}\`` : ''}`,
+    mapping.created_by ? `👤 Mapped by <@${mapping.created_by}>${mapping.created_at ? ` ${formatSlackDate(mapping.created_at)}` : ''}` : null
+  ].filter(Boolean);
+
+  await reply({ text: `🗺️ *This channel's Motion mapping*\n${lines.join('\n')}\n\nRun \`${setup}\` to change it.` });
+}
+
+async function sendHistory({ channel, reply }) {
+  const history = await storageService.getTaskHistory(channel, HISTORY_LIMIT);
+
+  if (history.length === 0) {
+    await reply({ text: `📭 No tasks have been created in Motion from this channel yet.` });
+    return;
+  }
+
+  const lines = history.map(entry => {
+    const tasks = (entry.extracted_tasks || []).filter(task => task.motion_task_id);
+    const names = tasks.slice(0, HISTORY_TASK_NAMES)
+      .map(task => `      • <${motionService.getTaskUrl(task.motion_task_id)}|${task.title}>`);
+
+    if (tasks.length > HISTORY_TASK_NAMES) {
+      names.push(`      • _and ${tasks.length - HISTORY_TASK_NAMES} more_`);
+    }
+
+    const created = entry.motion_task_ids?.length || tasks.length;
+    return [
+      `${entry.success ? '✅' : '⚠️'} ${created} task${created !== 1 ? 's' : ''} created ${formatSlackDate(entry.created_at)}`,
+      ...names
+    ].join('\n');
+  });
+
+  await reply({ text: `🕘 *Recently created from this channel*\n${lines.join('\n')}` });
+}
+
+// Effective settings, without secrets
+async function sendConfig({ client, channel, reply }) {
+  const channelRules = await channelRulesService.getRules(client, channel);
+  const captureReaction = getCaptureReaction();
+
+  const lines = [
+    `🤖 AI: ${claudeService.config.provider} (\`${claudeService.getSettings('extraction').model}\`)`,
+    `💾 Storage: ${storageBackend}`,
+    `🏢 Default Motion workspace: ${motionService.workspaceId ? `\`${motionService.workspaceId}\`` : 'not set'}`,
+    `📥 Capture reaction: ${captureReaction ? `:${captureReaction}:${process.env.CAPTURE_INCLUDE_THREAD === 'true' ? ' (whole thread)' : ''}` : 'off'}`,
+    `🧵 Thread replies in history analysis: ${process.env.EXPAND_THREAD_REPLIES === 'true' ? 'on' : 'off'}`,
+    `📜 History analysis limit: ${MAX_HISTORY_MESSAGES} messages`,
+    `🔁 Motion sync attempts: ${MAX_SYNC_ATTEMPTS}`,
+    `📌 Channel rules: ${channelRules.rules.length ? `${channelRules.rules.length} from ${channelRules.sources.join(', ')}` : 'none'}`
+  ];
+
+  await reply({ text: `⚙️ *Projectize configuration*\n${lines.join('\n')}` });
+}
+
+async function sendTaskList({ client, channel, threadTs, userId, teamId, command, targetChannelId, reply }) {
+  await handleTaskListCommand({
+    client,
+    channel,
+    threadTs,
+    userId,
+    teamId,
+    command,
+    channelId: targetChannelId,
+    reply
+  });
+}
+
+function formatSlackDate(isoDate) {
+  const seconds = Math.floor(new Date(isoDate).getTime() / 1000);
+  return Number.isNaN(seconds) ? '' : `<!date^${seconds}^{date_short_pretty} at {time}|${isoDate}>`;
+}
@@ -0,0 +1,272 @@
+import storageService from '../services/storage.js';
+import UserLinkageService from '../services/user-linkage.js';
+import { resolveDueDate } from '../utils/date-resolver.js';
+import { extractEmailFromSlackUser } from '../utils/parser.js';
+import { formatAssigneeForDisplay } from './preview.js';
+import motionService from '../services/motion.js';
+
+const userLinkageService = new UserLinkageService(storageService);
+
+// Motion completes a task by moving it to a resolved status; workspaces can rename it
+const COMPLETED_STATUS = process.env.MOTION_COMPLETED_STATUS || 'Completed';
+
+// Keeps the message under Slack's 50 block limit
+const MAX_LISTED_TASKS = 20;
+
+// block_id carries the queue entry (by its preview message) and the task index,
+// since datepickers and user selects have no value of their own
+function blockId(messageTs, index) {
+  return `created_task:${messageTs}:${index}`;
+}
+
+function parseBlockId(id) {
+  const [, messageTs, index] = (id || '').split(':');
+  return { messageTs, index: parseInt(index, 10) };
+}
+
+// The approval confirmation: a summary line, then each created task with
+// controls to complete, reschedule, reassign or delete it in Motion
+export function buildCreatedTaskBlocks(tasks, summary, messageTs) {
+  const created = tasks
+    .map((task, index) => ({ task, index }))
+    .filter(({ task }) => task.motion_task_id);
+
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: summary }
+  }];
+
+  created.slice(0, MAX_LISTED_TASKS).forEach(({ task, index }) => {
+    blocks.push({
+      type: 'section',
+      block_id: blockId(messageTs, index),
+      text: {
+        type: 'mrkdwn',
+        text: formatCreatedTask(task)
+      }
+    });
+
+    if (!task.motion_state) {
+      blocks.push(buildTaskControls(task, messageTs, index));
+    }
+  });
+
+  if (created.length > MAX_LISTED_TASKS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${created.length - MAX_LISTED_TASKS} more in Motion.` }]
+    });
+  }
+
+  return blocks;
+}
+
+function formatCreatedTask(task) {
+  const title = `<${motionService.getTaskUrl(task.motion_task_id)}|${task.title}>`;
+  const due = task.due_date_resolved?.day || task.due_date;
+
+  if (task.motion_state === 'deleted') {
+    return `~${task.title}~\n🗑️ _Deleted from Motion_`;
+  }
+
+  const details = [
+    `👤 ${formatAssigneeForDisplay(task)}`,
+    due ? `📅 ${due}` : '📅 No due date'
+  ];
+
+  if (task.motion_state === 'completed') {
+    details.push('✅ _Completed_');
+  }
+
+  return `*${title}*\n${details.join(' | ')}`;
+}
+
+function buildTaskControls(task, messageTs, index) {
+  const value = JSON.stringify({ messageTs, index });
+  const datepicker = {
+    type: 'datepicker',
+    action_id: 'created_task_due',
+    placeholder: { type: 'plain_text', text: 'Change due date' }
+  };
+
+  if (task.due_date_resolved?.day) {
+    datepicker.initial_date = task.due_date_resolved.day;
+  }
+
+  return {
+    type: 'actions',
+    block_id: `${blockId(messageTs, index)}:actions`,
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Complete' },
+        action_id: 'created_task_complete',
+        value
+      },
+      datepicker,
+      {
+        type: 'users_select',
+        action_id: 'created_task_assignee',
+        placeholder: { type: 'plain_text', text: 'Reassign' }
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '🗑️ Delete' },
+        style: 'danger',
+        action_id: 'created_task_delete',
+        value,
+        confirm: {
+          title: { type: 'plain_text', text: 'Delete task?' },
+          text: { type: 'mrkdwn', text: `This deletes *${task.title}* from Motion.` },
+          confirm: { type: 'plain_text', text: 'Delete' },
+          deny: { type: 'plain_text', text: 'Keep' }
+        }
+      }
+    ]
+  };
+}
+
+// Applies one control to the Motion task, saves the change on the queue entry
+// and re-renders the confirmation message in place
+export async function handleCreatedTaskAction({ body, client }) {
+  const action = body.actions[0];
+  const channelId = body.channel.id;
+  const { messageTs, index } = parseBlockId(action.block_id);
+
+  const queueEntry = await storageService.getTaskByMessage(messageTs, channelId);
+  const task = queueEntry?.extracted_tasks?.[index];
+
+  if (!task?.motion_task_id) {
+    await postError(client, body, `❌ Couldn't find that task. It may have been removed.`);
+    return;
+  }
+
+  if (task.motion_state === 'deleted') {
+    await postError(client, body, `❌ *${task.title}* was already deleted from Motion.`);
+    return;
+  }
+
+  const teamId = body.team?.id;
+  const { motion, linked, error: linkError } = await userLinkageService.getMotionServiceForUser(body.user.id, teamId);
+
+  if (linkError) {
+    await postError(client, body, linkError);
+    return;
+  }
+
+  // Unlinked users act through the admin key, so only the people behind these tasks may
+  // do that; linked users act with their own key and Motion checks their access
+  const owners = [queueEntry.approved_by, queueEntry.triggered_by, queueEntry.slack_user_id];
+  if (!linked && !owners.includes(body.user.id)) {
+    await postError(client, body, `🔒 Only the person who requested or approved these tasks can change them here. Link your Motion account from the Projectize home tab to manage tasks you have access to.`);
+    return;
+  }
+
+  let result;
+  let changes;
+
+  switch (action.action_id) {
+    case 'created_task_complete':
+      result = await motion.updateTask(task.motion_task_id, { status: COMPLETED_STATUS });
+      changes = { motion_state: 'completed' };
+      break;
+
+    case 'created_task_delete':
+      result = await motion.deleteTask(task.motion_task_id);
+      changes = { motion_state: 'deleted' };
+      break;
+
+    case 'created_task_due': {
+      const timezoneOffset = await getTimezoneOffset(client, body.user.id);
+      const { date, day, confidence, ambiguous } = resolveDueDate(action.selected_date, { timezoneOffset });
+      result = await motion.updateTask(task.motion_task_id, { dueDate: date });
+      changes = {
+        due_date: action.selected_date,
+        due_date_resolved: { date, day, confidence, ambiguous, timezone_offset: timezoneOffset ?? null }
+      };
+      break;
+    }
+
+    case 'created_task_assignee': {
+      const assignee = await findMotionUserForSlackUser(client, action.selected_user, task.motion_options?.workspaceId, motion);
+      if (!assignee.success) {
+        await postError(client, body, `❌ ${assignee.error}`);
+        return;
+      }
+      result = await motion.updateTask(task.motion_task_id, { assigneeId: assignee.user.id });
+      changes = {
+        assignee: `<@${action.selected_user}>`,
+        assignee_display: assignee.user.name || assignee.displayName,
+        assignee_slack_id: action.selected_user,
+        motion_assignee_id: assignee.user.id,
+        assignee_status: 'resolved'
+      };
+      break;
+    }
+
+    default:
+      return;
+  }
+
+  if (!result.success) {
+    await postError(client, body, `❌ Motion didn't accept the change to *${task.title}*: ${result.error}`);
+    return;
+  }
+
+  const tasks = queueEntry.extracted_tasks.map((t, i) => i === index ? { ...t, ...changes } : t);
+  await storageService.updateTaskQueue(queueEntry.id, { extracted_tasks: tasks });
+
+  console.log(`✏️ ${action.action_id.replace('created_task_', '')} applied to Motion task ${task.motion_task_id} by ${body.user.id}`);
+
+  // The summary is the first block of the message being updated
+  const summary = body.message?.blocks?.[0]?.text?.text || body.message?.text || '✅ Tasks created in Motion';
+
+  await client.chat.update({
+    channel: channelId,
+    ts: body.message.ts,
+    text: body.message?.text || summary,
+    blocks: buildCreatedTaskBlocks(tasks, summary, messageTs)
+  });
+}
+
+async function findMotionUserForSlackUser(client, slackUserId, workspaceId, motion) {
+  let slackUser = null;
+  try {
+    const userInfo = await client.users.info({ user: slackUserId });
+    slackUser = userInfo.user;
+  } catch (error) {
+    console.warn(`Could not load Slack user ${slackUserId}:`, error.message);
+  }
+
+  const email = extractEmailFromSlackUser(slackUser);
+  const displayName = slackUser?.real_name || slackUser?.name || `<@${slackUserId}>`;
+
+  if (!email) {
+    return { success: false, error: `${displayName} has no email I can match to a Motion user.` };
+  }
+
+  const result = await motion.findUserByEmail(email, workspaceId || motion.workspaceId);
+
+  if (!result.success) {
+    return { success: false, error: `${displayName} isn't a member of the task's Motion workspace.` };
+  }
+
+  return { success: true, user: result.user, displayName };
+}
+
+async function getTimezoneOffset(client, userId) {
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return userInfo.user?.tz_offset;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+async function postError(client, body, text) {
+  await client.chat.postEphemeral({
+    channel: body.channel.id,
+    user: body.user.id,
+    text
+  });
+}
@@ -0,0 +1,342 @@
+import motionService from '../services/motion.js';
+
+export const EDIT_TASKS_CALLBACK_ID = 'edit_tasks_modal';
+
+// Each task takes 10 blocks and modals allow 100
+export const MAX_MODAL_TASKS = 9;
+
+const PRIORITY_OPTIONS = ['high', 'medium', 'low'].map(priority => ({
+  text: { type: 'plain_text', text: priority.charAt(0).toUpperCase() + priority.slice(1) },
+  value: priority
+}));
+
+// options let other flows reuse the form with their own callback and wording
+export function buildEditTasksModal(storedTask, options = {}) {
+  const tasks = storedTask.extracted_tasks || [];
+  const suggestions = storedTask.workspace_suggestions || [];
+
+  const editable = tasks.slice(0, MAX_MODAL_TASKS);
+  const hidden = tasks.length - editable.length;
+
+  const {
+    callbackId = EDIT_TASKS_CALLBACK_ID,
+    title = 'Edit Tasks',
+    submit = 'Save',
+    intro = [
+      `Editing ${editable.length} task${editable.length > 1 ? 's' : ''}. Changes update the preview in the thread.`,
+      hidden > 0 ? `Only the first ${MAX_MODAL_TASKS} fit here; the other ${hidden} are kept as they are.` : null
+    ].filter(Boolean).join(' ')
+  } = options;
+
+  const taskBlocks = editable.flatMap((task, index) => buildTaskInputBlocks(task, suggestions[index], index));
+
+  return {
+    type: 'modal',
+    callback_id: callbackId,
+    notify_on_close: true,
+    private_metadata: JSON.stringify({
+      queueId: storedTask.id,
+      messageTs: storedTask.slack_message_ts,
+      channelId: storedTask.slack_channel_id
+    }),
+    title: { type: 'plain_text', text: title },
+    submit: { type: 'plain_text', text: submit },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: intro
+        }]
+      },
+      ...taskBlocks
+    ]
+  };
+}
+
+function buildTaskInputBlocks(task, suggestion, index) {
+  const prefix = `task_${index}`;
+
+  const assigneeElement = {
+    type: 'users_select',
+    action_id: 'assignee',
+    placeholder: { type: 'plain_text', text: 'Choose an assignee' }
+  };
+  if (task.assignee_slack_id) {
+    assigneeElement.initial_user = task.assignee_slack_id;
+  }
+
+  const dueDateElement = {
+    type: 'datepicker',
+    action_id: 'due_date',
+    placeholder: { type: 'plain_text', text: 'Pick a due date' }
+  };
+  if (task.due_date_resolved?.day) {
+    dueDateElement.initial_date = task.due_date_resolved.day;
+  }
+
+  const workspaceElement = {
+    type: 'external_select',
+    action_id: 'motion_workspace',
+    min_query_length: 0,
+    placeholder: { type: 'plain_text', text: 'Search workspaces' }
+  };
+  if (suggestion?.workspace) {
+    workspaceElement.initial_option = toOption(suggestion.workspace);
+  }
+
+  const projectElement = {
+    type: 'external_select',
+    action_id: 'motion_project',
+    min_query_length: 0,
+    placeholder: { type: 'plain_text', text: 'Search projects' }
+  };
+  if (suggestion?.project) {
+    projectElement.initial_option = toOption(suggestion.project);
+  }
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Task ${index + 1}*` }
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_title`,
+      label: { type: 'plain_text', text: 'Title' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'title',
+        initial_value: task.title || ''
+      }
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_description`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Description' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'description',
+        multiline: true,
+        initial_value: task.context || ''
+      }
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_assignee`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Assignee' },
+      hint: task.assignee_slack_id ? undefined : {
+        type: 'plain_text',
+        text: `Currently: ${task.assignee_display || task.assignee || 'Unassigned'}`
+      },
+      element: assigneeElement
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_due_date`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Due date' },
+      hint: task.due_date && !task.due_date_resolved ? {
+        type: 'plain_text',
+        text: `Couldn't resolve "${task.due_date}"`
+      } : undefined,
+      element: dueDateElement
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_priority`,
+      label: { type: 'plain_text', text: 'Priority' },
+      element: {
+        type: 'static_select',
+        action_id: 'priority',
+        options: PRIORITY_OPTIONS,
+        initial_option: PRIORITY_OPTIONS.find(o => o.value === task.priority) || PRIORITY_OPTIONS[1]
+      }
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_workspace`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Motion workspace' },
+      element: workspaceElement
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_project`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Motion project' },
+      element: projectElement
+    },
+    {
+      type: 'input',
+      block_id: `${prefix}_remove`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Remove' },
+      element: {
+        type: 'checkboxes',
+        action_id: 'remove',
+        options: [{
+          text: { type: 'plain_text', text: 'Remove this task' },
+          value: 'remove'
+        }]
+      }
+    }
+  ];
+}
+
+export function parseEditTasksSubmission(view, storedTask) {
+  const values = view.state.values;
+  const previousTasks = storedTask.extracted_tasks || [];
+  const previousSuggestions = storedTask.workspace_suggestions || [];
+
+  const tasks = [];
+  const suggestions = [];
+
+  previousTasks.forEach((previous, index) => {
+    const prefix = `task_${index}`;
+
+    // Tasks past MAX_MODAL_TASKS weren't in the modal, so they're kept unchanged
+    if (!values[`${prefix}_title`]) {
+      tasks.push(previous);
+      suggestions.push(previousSuggestions[index] ?? null);
+      return;
+    }
+
+    const removed = values[`${prefix}_remove`]?.remove?.selected_options?.length > 0;
+
+    if (removed) return;
+
+    const task = {
+      ...previous,
+      title: values[`${prefix}_title`].title.value.trim(),
+      context: values[`${prefix}_description`]?.description?.value || '',
+      priority: values[`${prefix}_priority`]?.priority?.selected_option?.value || previous.priority
+    };
+
+    // Only touch assignee/due date when the picker value actually changed,
+    // so unresolved free-text values survive a save
+    const selectedUser = values[`${prefix}_assignee`]?.assignee?.selected_user || null;
+    if (selectedUser && selectedUser !== previous.assignee_slack_id) {
+      task.assignee = `<@${selectedUser}>`;
+      task.assignee_status = null;
+    } else if (!selectedUser && previous.assignee_slack_id) {
+      task.assignee = 'infer_from_context';
+      task.assignee_status = null;
+    }
+
+    const selectedDate = values[`${prefix}_due_date`]?.due_date?.selected_date || null;
+    if (selectedDate && selectedDate !== previous.due_date_resolved?.day) {
+      task.due_date = selectedDate;
+      task.due_date_resolved = null;
+    } else if (!selectedDate && previous.due_date_resolved) {
+      task.due_date = null;
+      task.due_date_resolved = null;
+    }
+
+    tasks.push(task);
+    suggestions.push(buildSuggestionFromSelection(values, prefix, task, previousSuggestions[index]));
+  });
+
+  return { tasks, suggestions };
+}
+
+function buildSuggestionFromSelection(values, prefix, task, previous) {
+  const workspaceOption = values[`${prefix}_workspace`]?.motion_workspace?.selected_option;
+  const projectOption = values[`${prefix}_project`]?.motion_project?.selected_option;
+
+  if (!workspaceOption) {
+    return previous ? { ...previous, task } : null;
+  }
+
+  const workspace = fromOption(workspaceOption);
+  const workspaceChanged = workspace.id !== previous?.workspace?.id;
+  let project = projectOption ? fromOption(projectOption) : null;
+
+  // A project left over from the old workspace no longer applies
+  if (workspaceChanged && project && project.id === previous?.project?.id) {
+    project = null;
+  }
+
+  const projectChanged = (project?.id || null) !== (previous?.project?.id || null);
+
+  if (!workspaceChanged && !projectChanged && previous) {
+    return { ...previous, task };
+  }
+
+  return {
+    task,
+    workspace,
+    project,
+    confidence: 'high',
+    reasoning: 'chosen manually'
+  };
+}
+
+// Options loaders for the external selects, shared by every modal that picks a Motion target
+export async function loadWorkspaceOptions(query = '') {
+  const workspacesResult = await motionService.getWorkspaces();
+
+  if (!workspacesResult.success) {
+    return [];
+  }
+
+  return filterOptions(workspacesResult.workspaces, query);
+}
+
+export async function loadProjectOptions(query = '', blockId, view) {
+  const workspaceId = findSelectedWorkspaceId(blockId, view) || motionService.workspaceId;
+
+  if (!workspaceId) {
+    return [];
+  }
+
+  const projectsResult = await motionService.getProjects(workspaceId);
+
+  if (!projectsResult.success) {
+    return [];
+  }
+
+  return filterOptions(projectsResult.projects, query);
+}
+
+function findSelectedWorkspaceId(blockId, view) {
+  if (!blockId || !view) return null;
+
+  // Project blocks are paired with a workspace block sharing the same prefix
+  const workspaceBlockId = blockId.replace(/project$/, 'workspace');
+  const selected = view.state?.values?.[workspaceBlockId]?.motion_workspace?.selected_option;
+
+  if (selected) {
+    return selected.value;
+  }
+
+  const workspaceBlock = (view.blocks || []).find(block => block.block_id === workspaceBlockId);
+  return workspaceBlock?.element?.initial_option?.value || null;
+}
+
+function filterOptions(items, query) {
+  const search = (query || '').toLowerCase();
+
+  return (items || [])
+    .filter(item => item.name && item.name.toLowerCase().includes(search))
+    .slice(0, 100)
+    .map(toOption);
+}
+
+function toOption(item) {
+  return {
+    text: { type: 'plain_text', text: item.name.substring(0, 75) },
+    value: item.id
+  };
+}
+
+function fromOption(option) {
+  return {
+    id: option.value,
+    name: option.text.text
+  };
+}
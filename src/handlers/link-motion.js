@@ -0,0 +1,136 @@
+export const LINK_MOTION_CALLBACK_ID = 'link_motion_modal';
+
+export function buildHomeView(linkage) {
+  const linkStatus = linkage
+    ? `✅ *Motion account linked*\nTasks you approve are created under your own Motion account.${linkage.motion_user_id ? `\nMotion user ID: \`${linkage.motion_user_id}\`` : ''}`
+    : '🔗 *Motion account not linked*\nTasks you approve are created with the workspace admin key. Link your account to create them as yourself.';
+
+  return {
+    type: 'home',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '🚀 *Welcome to Projectize!*\n\nI help extract actionable tasks from your conversations and sync them to Motion.\n\n*Getting Started:*\n• Invite me to a channel\n• Mention @projectize or quote text to extract tasks\n• Review and approve task previews\n• Tasks automatically sync to Motion'
+        }
+      },
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: linkStatus
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: linkage ? '🔄 Update Motion API Key' : '🔗 Link Motion Account'
+            },
+            action_id: 'link_motion'
+          }
+        ]
+      }
+    ]
+  };
+}
+
+export function buildLinkMotionModal(teamId) {
+  return {
+    type: 'modal',
+    callback_id: LINK_MOTION_CALLBACK_ID,
+    private_metadata: JSON.stringify({ teamId }),
+    title: { type: 'plain_text', text: 'Link Motion' },
+    submit: { type: 'plain_text', text: 'Link Account' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: 'Create an API key in Motion under *Settings › API*, then paste it below. Only you can see this dialog, and the key is stored encrypted.'
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'motion_api_key',
+        label: { type: 'plain_text', text: 'Motion API key' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'api_key',
+          placeholder: { type: 'plain_text', text: 'Paste your Motion API key' }
+        }
+      }
+    ]
+  };
+}
+
+export function buildLinkResultModal(result) {
+  const text = result.success
+    ? `✅ *Motion account linked${result.motionUser?.name ? ` as ${result.motionUser.name}` : ''}!*\n\nTasks you approve will now be created under your Motion account.`
+    : `❌ *Couldn't link your Motion account*\n\n${result.error}`;
+
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'Link Motion' },
+    close: { type: 'plain_text', text: 'Done' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text }
+      }
+    ]
+  };
+}
+
+// Validating the key can take longer than Slack's 3 second ack window,
+// so acknowledge with a "checking" view and update it once Motion answers
+export async function handleLinkMotionSubmission({ ack, body, view, client, userLinkageService }) {
+  await ack({
+    response_action: 'update',
+    view: {
+      type: 'modal',
+      title: { type: 'plain_text', text: 'Link Motion' },
+      blocks: [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: '🔄 Checking your API key with Motion...' }
+      }]
+    }
+  });
+
+  const { teamId } = JSON.parse(view.private_metadata || '{}');
+  const apiKey = view.state.values.motion_api_key.api_key.value;
+
+  let result;
+  try {
+    result = await userLinkageService.linkMotionAccount({
+      slackUserId: body.user.id,
+      teamId: teamId || body.team?.id,
+      apiKey
+    });
+  } catch (error) {
+    // e.g. storage failing to save the linkage; never leave the modal stuck on "Checking"
+    console.error('Failed to link Motion account:', error);
+    result = { success: false, error: 'Something went wrong saving your Motion account. Please try again.' };
+  }
+
+  await client.views.update({
+    view_id: view.id,
+    view: buildLinkResultModal(result)
+  });
+
+  if (result.success) {
+    const linkage = await userLinkageService.getLinkage(body.user.id, teamId || body.team?.id);
+    await client.views.publish({
+      user_id: body.user.id,
+      view: buildHomeView(linkage)
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,317 @@
+import claudeService from '../services/claude.js';
+import motionService from '../services/motion.js';
+import channelRulesService from '../services/channel-rules.js';
+
+export const CHANNEL_MAPPING_CALLBACK_ID = 'channel_mapping_modal';
+
+// Channel mapping handlers take the storage service as an argument so the
+// Supabase app and the local-file app can share them.
+
+export async function handleChannelSetup({ client, channel, channelInfo, teamId, storage }) {
+  try {
+    // Check if channel is already mapped
+    const existingMapping = await storage.getChannelMapping(channel, teamId);
+
+    if (existingMapping) {
+      await client.chat.postMessage({
+        channel,
+        text: `✅ This channel is already configured!`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `✅ *This channel is already configured!*\n📁 Motion Project: **${existingMapping.project_name || 'Not specified'}**`
+            }
+          },
+          buildMappingActions(channel, null)
+        ]
+      });
+      return;
+    }
+
+    // Get suggested project mapping from Claude
+    const channelName = channelInfo.channel?.name || 'unknown';
+    const channelTopic = channelInfo.channel?.topic?.value || '';
+
+    const channelRules = await channelRulesService.getRules(client, channel);
+
+    const suggestion = await claudeService.suggestProjectMapping(channelName, channelTopic, [], channelRules.text);
+
+    if (!suggestion.success) {
+      // No usable suggestion, so go straight to picking the mapping by hand
+      await client.chat.postMessage({
+        channel,
+        text: `🔧 Channel Setup: I couldn't suggest a mapping (${suggestion.error})`,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `🔧 *Channel Setup*\n\n⚠️ I couldn't suggest a Motion project for this channel: ${suggestion.error}\nPick one yourself instead.`
+            }
+          },
+          buildMappingActions(channel, null)
+        ]
+      });
+      return;
+    }
+
+    await client.chat.postMessage({
+      channel,
+      text: `🔧 Channel Setup: ${suggestion.workspace} > ${suggestion.project}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `🔧 *Channel Setup*\n\nI think this channel maps to:\n📁 **${suggestion.workspace} > ${suggestion.project}**\n\n_${suggestion.reasoning}_`
+          }
+        },
+        buildMappingActions(channel, suggestion)
+      ]
+    });
+
+  } catch (error) {
+    console.error('Channel setup error:', error);
+    await client.chat.postMessage({
+      channel,
+      text: `❌ Setup failed. Please try again or contact admin.`
+    });
+  }
+}
+
+function buildMappingActions(channel, suggestion) {
+  const elements = [];
+
+  if (suggestion) {
+    elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: '✅ Confirm' },
+      style: 'primary',
+      action_id: 'confirm_mapping',
+      value: JSON.stringify({
+        workspace: suggestion.workspace,
+        project: suggestion.project,
+        channel: channel
+      })
+    });
+  }
+
+  elements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: suggestion ? '✏️ Edit' : '✏️ Change Mapping' },
+    action_id: 'edit_mapping',
+    value: channel
+  });
+
+  return { type: 'actions', elements };
+}
+
+export async function handleConfirmMapping({ body, client, storage }) {
+  const { workspace: workspaceName, project: projectName, channel } = JSON.parse(body.actions[0].value);
+  const teamId = getTeamId(body);
+
+  const resolved = await resolveSuggestedMapping(workspaceName, projectName);
+
+  if (!resolved.workspace) {
+    // The suggestion doesn't exist in Motion, so let the user pick instead
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildChannelMappingModal({ channelId: channel, teamId, messageTs: body.message?.ts })
+    });
+    return;
+  }
+
+  const mapping = await saveChannelMapping(storage, {
+    channelId: channel,
+    teamId,
+    workspace: resolved.workspace,
+    project: resolved.project,
+    userId: body.user.id
+  });
+
+  await client.chat.update({
+    channel,
+    ts: body.message.ts,
+    text: formatMappingConfirmation(mapping, resolved.workspace, body.user.id, projectName),
+    blocks: []
+  });
+}
+
+export async function handleEditMapping({ body, client, storage }) {
+  const channelId = body.actions[0].value;
+  const teamId = getTeamId(body);
+
+  const existingMapping = await storage.getChannelMapping(channelId, teamId);
+
+  // Only IDs are stored, so look up the workspace name for the initial selection
+  let workspaceName = null;
+  if (existingMapping?.motion_workspace_id) {
+    const workspacesResult = await motionService.getWorkspaces();
+    workspaceName = workspacesResult.success
+      ? workspacesResult.workspaces.find(w => w.id === existingMapping.motion_workspace_id)?.name
+      : null;
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: buildChannelMappingModal({
+      channelId,
+      teamId,
+      messageTs: body.message?.ts,
+      existingMapping,
+      workspaceName
+    })
+  });
+}
+
+export async function handleMappingSubmission({ body, view, client, storage }) {
+  const { channelId, teamId, messageTs } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+
+  const workspaceOption = values.mapping_workspace.motion_workspace.selected_option;
+  const projectOption = values.mapping_project?.motion_project?.selected_option;
+
+  const workspace = { id: workspaceOption.value, name: workspaceOption.text.text };
+  const project = projectOption ? { id: projectOption.value, name: projectOption.text.text } : null;
+
+  const mapping = await saveChannelMapping(storage, {
+    channelId,
+    teamId: teamId || getTeamId(body),
+    workspace,
+    project,
+    userId: body.user.id
+  });
+
+  const text = formatMappingConfirmation(mapping, workspace, body.user.id);
+
+  if (messageTs) {
+    await client.chat.update({ channel: channelId, ts: messageTs, text, blocks: [] });
+  } else {
+    await client.chat.postMessage({ channel: channelId, text });
+  }
+}
+
+export function buildChannelMappingModal({ channelId, teamId, messageTs, existingMapping = null, workspaceName = null }) {
+  const workspaceElement = {
+    type: 'external_select',
+    action_id: 'motion_workspace',
+    min_query_length: 0,
+    placeholder: { type: 'plain_text', text: 'Search workspaces' }
+  };
+
+  const projectElement = {
+    type: 'external_select',
+    action_id: 'motion_project',
+    min_query_length: 0,
+    placeholder: { type: 'plain_text', text: 'Search projects' }
+  };
+
+  if (existingMapping?.motion_workspace_id) {
+    workspaceElement.initial_option = {
+      text: { type: 'plain_text', text: workspaceName || existingMapping.motion_workspace_id },
+      value: existingMapping.motion_workspace_id
+    };
+  }
+
+  if (existingMapping?.motion_project_id) {
+    projectElement.initial_option = {
+      text: { type: 'plain_text', text: existingMapping.project_name || existingMapping.motion_project_id },
+      value: existingMapping.motion_project_id
+    };
+  }
+
+  return {
+    type: 'modal',
+    callback_id: CHANNEL_MAPPING_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId, teamId, messageTs }),
+    title: { type: 'plain_text', text: 'Channel Mapping' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Tasks created from <#${channelId}> will go to this Motion workspace and project by default.`
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'mapping_workspace',
+        label: { type: 'plain_text', text: 'Motion workspace' },
+        element: workspaceElement
+      },
+      {
+        type: 'input',
+        block_id: 'mapping_project',
+        optional: true,
+        label: { type: 'plain_text', text: 'Motion project' },
+        element: projectElement
+      }
+    ]
+  };
+}
+
+// Turn the names Claude suggested into real Motion workspace/project records
+export async function resolveSuggestedMapping(workspaceName, projectName) {
+  const workspacesResult = await motionService.getWorkspaces();
+
+  if (!workspacesResult.success || !workspaceName) {
+    return { workspace: null, project: null };
+  }
+
+  const target = workspaceName.toLowerCase();
+  const workspaces = workspacesResult.workspaces || [];
+  const workspace = workspaces.find(w => w.name && w.name.toLowerCase() === target)
+    || workspaces.find(w => w.name && w.name.toLowerCase().includes(target));
+
+  if (!workspace) {
+    return { workspace: null, project: null };
+  }
+
+  let project = null;
+  if (projectName) {
+    const projectResult = await motionService.findProjectByName(projectName, workspace.id);
+    project = projectResult.success ? projectResult.project : null;
+  }
+
+  return { workspace, project };
+}
+
+export async function saveChannelMapping(storage, { channelId, teamId, workspace, project, userId }) {
+  const mappingFields = {
+    motion_workspace_id: workspace.id,
+    motion_project_id: project?.id || null,
+    project_name: project?.name || null
+  };
+
+  const existingMapping = await storage.getChannelMapping(channelId, teamId);
+
+  if (existingMapping) {
+    return storage.updateChannelMapping(channelId, teamId, mappingFields);
+  }
+
+  return storage.createChannelMapping({
+    slack_channel_id: channelId,
+    slack_workspace_id: teamId,
+    created_by: userId,
+    ...mappingFields
+  });
+}
+
+function formatMappingConfirmation(mapping, workspace, userId, requestedProject = null) {
+  let text = `✅ <@${userId}> mapped this channel to 📁 **${workspace.name}`;
+  text += mapping.project_name ? ` > ${mapping.project_name}**` : '**';
+
+  if (requestedProject && !mapping.project_name) {
+    text += `\n⚠️ No Motion project named "${requestedProject}" was found, so tasks will go to the workspace without a project.`;
+  }
+
+  return text;
+}
+
+export function getTeamId(body) {
+  return body.team?.id || body.user?.team_id || body.team_id || 'unknown';
+}
@@ -1,29 +1,50 @@
 import claudeService from '../services/claude.js';
-import motionService from '../services/motion.js';
-import supabaseService from '../services/supabase.js';
+import channelRulesService from '../services/channel-rules.js';
+import storageService from '../services/storage.js';
 import { parseMessage } from '../utils/parser.js';
+import {
+  prepareTasksForPreview,
+  markDuplicateTasks,
+  buildTaskBlocks,
+  buildUnresolvedAssigneeNotice,
+  buildRejectedTasksNotice,
+  buildDuplicateNotice,
+  formatRejectedTasks
+} from './preview.js';
+import { getMotionOptions } from './batch.js';
+import { routeCommand } from './commands.js';
 
-export async function handleMention({ event, client, logger }) {
+// Extraction help for this app, shown by the shared help command
+const EXTRACTION_HELP = [
+  '• `@projectize [message]` - Extract tasks from your message',
+  '• Quote text with `>` and mention me to extract from quoted content'
+];
+
+export async function handleMention({ event, teamId, client, logger }) {
   const { text, user, channel, ts } = event;
   
   try {
-    // Get channel info for context
-    const channelInfo = await client.conversations.info({ channel });
-    const userInfo = await client.users.info({ user });
-    
     // Parse the mention to extract the actual message content
-    const { content, command } = parseMessage(text);
+    const parsed = parseMessage(text);
+    const threadTs = event.thread_ts || ts;
     
-    if (command === 'help') {
-      await sendHelpMessage(client, channel);
-      return;
-    }
+    const handled = await routeCommand(parsed, {
+      client,
+      channel,
+      userId: user,
+      teamId: teamId || event.team,
+      threadTs,
+      source: 'mention',
+      extractionHelp: EXTRACTION_HELP,
+      reply: message => client.chat.postMessage({ channel, thread_ts: threadTs, ...message })
+    });
     
-    if (command === 'setup') {
-      await handleChannelSetup(client, channel, channelInfo, user);
+    if (handled) {
       return;
     }
     
+    const { content } = parsed;
+    
     if (!content || content.trim().length < 10) {
       await client.chat.postMessage({
         channel,
@@ -32,35 +53,7 @@ export async function handleMention({ event, client, logger }) {
       return;
     }
     
-    // Extract tasks using Claude
-    const context = {
-      channelName: channelInfo.channel?.name || 'unknown',
-      authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown'
-    };
-    
-    const extractionResult = await claudeService.extractTasks(content, context);
-    
-    if (!extractionResult.success) {
-      await client.chat.postMessage({
-        channel,
-        text: `⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`,
-        thread_ts: ts
-      });
-      return;
-    }
-    
-    if (extractionResult.tasks.length === 0) {
-      await client.chat.postMessage({
-        channel,
-        text: `🤔 I didn't find any clear actionable tasks in that message. Try being more specific about who should do what and when.`,
-        thread_ts: ts
-      });
-      return;
-    }
-    
-    // Store tasks temporarily and post preview
-    await storeTaskPreview(ts, channel, user, extractionResult.tasks);
-    await postTaskPreview(client, channel, extractionResult.tasks, ts);
+    await extractTasksFromText({ client, channel, user, teamId: teamId || event.team, ts, content });
     
   } catch (error) {
     logger.error('Error in handleMention:', error);
@@ -72,109 +65,71 @@ export async function handleMention({ event, client, logger }) {
   }
 }
 
-async function sendHelpMessage(client, channel) {
-  await client.chat.postMessage({
-    channel,
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*🚀 Projectize Help*\n\nI help extract actionable tasks from your conversations and sync them to Motion.'
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*How to use:*\n• `@projectize [message]` - Extract tasks from your message\n• `@projectize setup` - Configure this channel\n• Quote text with `>` and mention me to extract from quoted content'
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*Examples:*\n• "Jenny needs to finish the website by Tuesday"\n• "We should schedule the client call for next week"\n• "I\'ll handle the presentation slides before Friday"'
-        }
-      }
-    ]
-  });
-}
-
-async function handleChannelSetup(client, channel, channelInfo, userId) {
-  try {
-    // Check if channel is already mapped
-    const existingMapping = await supabaseService.getChannelMapping(
+// Extracts tasks from text and previews them in the thread of message `ts`, which
+// is also the key for approving them. Used by mentions and `/projectize extract`.
+export async function extractTasksFromText({ client, channel, user, teamId, ts, content }) {
+  // Get channel info for context
+  const channelInfo = await client.conversations.info({ channel });
+  const userInfo = await client.users.info({ user });
+  
+  // Extract tasks using Claude
+  // Pinned "Projectize rules" for this channel are passed to the AI as extra instructions
+  const channelRules = await channelRulesService.getRules(client, channel);
+  
+  const context = {
+    channelName: channelInfo.channel?.name || 'unknown',
+    authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown',
+    readmeRules: channelRules.text || undefined
+  };
+  
+  const extractionResult = await claudeService.extractTasks(content, context);
+  
+  if (!extractionResult.success) {
+    await client.chat.postMessage({
       channel,
-      channelInfo.channel?.team_id || 'unknown'
-    );
-    
-    if (existingMapping) {
-      await client.chat.postMessage({
-        channel,
-        text: `✅ This channel is already configured!\n📁 Motion Project: **${existingMapping.project_name || 'Not specified'}**\n\nUse \`@projectize setup\` to reconfigure if needed.`
-      });
-      return;
-    }
-    
-    // Get suggested project mapping from Claude
-    const channelName = channelInfo.channel?.name || 'unknown';
-    const channelTopic = channelInfo.channel?.topic?.value || '';
-    
-    const suggestion = await claudeService.suggestProjectMapping(channelName, channelTopic);
-    
+      text: `⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`,
+      thread_ts: ts
+    });
+    return;
+  }
+  
+  if (extractionResult.tasks.length === 0 && extractionResult.rejected?.length > 0) {
     await client.chat.postMessage({
       channel,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `🔧 *Channel Setup*\n\nI think this channel maps to:\n📁 **${suggestion.workspace} > ${suggestion.project}**\n\n_${suggestion.reasoning}_`
-          }
-        },
-        {
-          type: 'actions',
-          elements: [
-            {
-              type: 'button',
-              text: { type: 'plain_text', text: '✅ Confirm' },
-              style: 'primary',
-              action_id: 'confirm_mapping',
-              value: JSON.stringify({
-                workspace: suggestion.workspace,
-                project: suggestion.project,
-                channel: channel
-              })
-            },
-            {
-              type: 'button', 
-              text: { type: 'plain_text', text: '✏️ Edit' },
-              action_id: 'edit_mapping',
-              value: channel
-            }
-          ]
-        }
-      ]
+      text: `⚠️ I found possible tasks but the AI returned them in an invalid format:\n${formatRejectedTasks(extractionResult.rejected)}`,
+      thread_ts: ts
     });
-    
-  } catch (error) {
-    console.error('Channel setup error:', error);
+    return;
+  }
+  
+  if (extractionResult.tasks.length === 0) {
     await client.chat.postMessage({
       channel,
-      text: `❌ Setup failed. Please try again or contact admin.`
+      text: `🤔 I didn't find any clear actionable tasks in that message. Try being more specific about who should do what and when.`,
+      thread_ts: ts
     });
+    return;
   }
+  
+  // Match assignees to Motion users and flag likely duplicates, then store tasks temporarily and post preview
+  const preparedTasks = await prepareTasksForPreview(extractionResult.tasks, {
+    client,
+    authorUserId: user,
+    timezoneOffset: userInfo.user?.tz_offset
+  });
+  
+  const tasks = await markDuplicateTasks(preparedTasks, {
+    client,
+    channelId: channel,
+    defaultTarget: await getMotionOptions(channel, teamId)
+  });
+  
+  await storeTaskPreview(ts, channel, user, tasks);
+  await postTaskPreview(client, channel, tasks, ts, extractionResult.rejected);
 }
 
-async function postTaskPreview(client, channel, tasks, threadTs) {
-  const taskBlocks = tasks.map((task, index) => ({
-    type: 'section',
-    text: {
-      type: 'mrkdwn',
-      text: `*${index + 1}. ${task.title}*\n👤 ${task.assignee} ${task.due_date ? `| 📅 ${task.due_date}` : ''} ${task.confidence ? `| 🎯 ${task.confidence}` : ''}\n${task.context ? `_${task.context}_` : ''}`
-    }
-  }));
+async function postTaskPreview(client, channel, tasks, threadTs, rejected = []) {
+  const taskBlocks = buildTaskBlocks(tasks);
   
   await client.chat.postMessage({
     channel,
@@ -188,6 +143,9 @@ async function postTaskPreview(client, channel, tasks, threadTs) {
         }
       },
       ...taskBlocks,
+      ...buildUnresolvedAssigneeNotice(tasks),
+      ...buildRejectedTasksNotice(rejected),
+      ...buildDuplicateNotice(tasks, threadTs),
       {
         type: 'actions',
         elements: [
@@ -212,7 +170,7 @@ async function postTaskPreview(client, channel, tasks, threadTs) {
 
 async function storeTaskPreview(messageTs, channelId, userId, tasks) {
   try {
-    await supabaseService.addToTaskQueue({
+    await storageService.addToTaskQueue({
       slack_message_ts: messageTs,
       slack_channel_id: channelId,
       slack_user_id: userId,
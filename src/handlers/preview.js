@@ -0,0 +1,170 @@
+import motionService from '../services/motion.js';
+import storageService from '../services/storage.js';
+import AssigneeResolverService from '../services/assignee-resolver.js';
+import TaskDedupService from '../services/task-dedup.js';
+import { resolveTaskDueDates } from '../utils/date-resolver.js';
+import { formatDueDateForDisplay } from '../utils/parser.js';
+
+const assigneeResolver = new AssigneeResolverService(motionService);
+const taskDedupService = new TaskDedupService(storageService, motionService);
+
+// Enrich freshly extracted tasks before they are stored and previewed.
+// Safe to call again after edits: already-resolved fields are kept.
+export async function prepareTasksForPreview(tasks, { client, authorUserId, timezoneOffset, slackUserMap }) {
+  let preparedTasks = tasks;
+  
+  try {
+    preparedTasks = await assigneeResolver.resolveAssignees(preparedTasks, { client, authorUserId, slackUserMap });
+  } catch (error) {
+    console.error('Failed to resolve assignees:', error);
+  }
+  
+  const offset = timezoneOffset ?? await getUserTimezoneOffset(client, authorUserId);
+  
+  return resolveTaskDueDates(preparedTasks, { timezoneOffset: offset });
+}
+
+// Flag tasks that repeat the channel's recent history or open Motion tasks.
+// targets[i] is where task i would be created; defaultTarget covers the rest.
+export async function markDuplicateTasks(tasks, { client, channelId, targets, defaultTarget }) {
+  try {
+    return await taskDedupService.markDuplicates(tasks, { client, channelId, targets, defaultTarget });
+  } catch (error) {
+    console.error('Failed to check for duplicate tasks:', error);
+    return tasks;
+  }
+}
+
+async function getUserTimezoneOffset(client, userId) {
+  if (!client || !userId) return undefined;
+  
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return userInfo.user?.tz_offset;
+  } catch (error) {
+    console.warn(`Could not load timezone for ${userId}:`, error.message);
+    return undefined;
+  }
+}
+
+export function formatAssigneeForDisplay(task) {
+  switch (task.assignee_status) {
+    case 'resolved':
+      return task.assignee_display;
+    case 'unassigned':
+      return 'Unassigned';
+    case 'unresolved':
+      return `${task.assignee_display} ⚠️ _not matched to a Motion user_`;
+    default:
+      return task.assignee;
+  }
+}
+
+export function formatWorkspaceSuggestion(suggestion) {
+  if (!suggestion) return '';
+
+  let workspaceText = `\n📁 **${suggestion.workspace.name}**`;
+  if (suggestion.project) {
+    workspaceText += ` > ${suggestion.project.name}`;
+  }
+  workspaceText += ` (${suggestion.confidence} confidence)`;
+  workspaceText += `\n💭 _${suggestion.reasoning}_`;
+
+  return workspaceText;
+}
+
+// Set by the conversation analyzer when a task could be traced to one message
+export function formatSourceLink(task) {
+  return task.source_permalink ? `\n🔗 <${task.source_permalink}|Source message>` : '';
+}
+
+// Set by TaskDedupService when a task matches recent history or an open Motion task
+export function formatDuplicate(task) {
+  const existing = task.duplicate_of;
+  if (!existing) return '';
+
+  const where = existing.source === 'motion' ? 'open in Motion' : 'extracted here before';
+  const link = existing.url ? `<${existing.url}|${existing.title}>` : `"${existing.title}"`;
+
+  return `\n♻️ _Likely duplicate of ${link} (${where})${task.excluded ? ' — won\'t be created' : ' — will be created anyway'}_`;
+}
+
+export function buildTaskBlocks(tasks, suggestions = []) {
+  return tasks.map((task, index) => ({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${index + 1}. ${task.title}*\n👤 ${formatAssigneeForDisplay(task)} ${task.due_date ? `| 📅 ${formatDueDateForDisplay(task.due_date, {
+        resolved: task.due_date_resolved,
+        timezoneOffset: task.due_date_resolved?.timezone_offset ?? undefined
+      })}` : ''} ${task.confidence ? `| 🎯 ${task.confidence}` : ''}\n${task.context ? `_${task.context}_` : ''}${formatSourceLink(task)}${formatDuplicate(task)}${formatWorkspaceSuggestion(suggestions[index])}`
+    }
+  }));
+}
+
+export function buildUnresolvedAssigneeNotice(tasks) {
+  const unresolved = tasks
+    .map((task, index) => ({ task, index }))
+    .filter(({ task }) => task.assignee_status === 'unresolved');
+
+  if (unresolved.length === 0) return [];
+
+  const lines = unresolved
+    .map(({ task, index }) => `• Task ${index + 1}: "${task.assignee_display}"`)
+    .join('\n');
+
+  return [{
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `⚠️ These assignees couldn't be matched to Motion users and will be created unassigned:\n${lines}`
+    }]
+  }];
+}
+
+// Tasks the AI returned that failed schema validation, so users know something was skipped
+export function formatRejectedTasks(rejected = []) {
+  return rejected
+    .map(r => `• ${r.title ? `"${r.title}"` : `Item ${r.index + 1}`}: ${r.errors.join(', ')}`)
+    .join('\n');
+}
+
+export function buildRejectedTasksNotice(rejected = []) {
+  if (rejected.length === 0) return [];
+
+  return [{
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: `⚠️ Skipped ${rejected.length} task${rejected.length > 1 ? 's' : ''} the AI returned in an invalid format:\n${formatRejectedTasks(rejected)}`
+    }]
+  }];
+}
+
+export function buildDuplicateNotice(tasks, messageTs) {
+  const excluded = tasks.filter(task => task.excluded).length;
+  if (excluded === 0) return [];
+
+  return [
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `♻️ ${excluded} task${excluded > 1 ? 's look' : ' looks'} like ${excluded > 1 ? 'duplicates' : 'a duplicate'} of existing work and will be skipped.`
+      }]
+    },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: '➕ Include Duplicates' },
+        action_id: 'include_duplicates',
+        value: messageTs
+      }]
+    }
+  ];
+}
+
+export function formatExcludedCount(excluded = 0) {
+  return excluded > 0 ? ` (${excluded} likely duplicate${excluded > 1 ? 's' : ''} skipped)` : '';
+}
@@ -1,6 +1,17 @@
 import claudeService from '../services/claude.js';
-import supabaseService from '../services/supabase.js';
+import channelRulesService from '../services/channel-rules.js';
+import storageService from '../services/storage.js';
 import { extractQuotedText } from '../utils/parser.js';
+import {
+  prepareTasksForPreview,
+  markDuplicateTasks,
+  buildTaskBlocks,
+  buildUnresolvedAssigneeNotice,
+  buildRejectedTasksNotice,
+  buildDuplicateNotice,
+  formatRejectedTasks
+} from './preview.js';
+import { getMotionOptions } from './batch.js';
 
 export async function handleQuote({ message, client, logger }) {
   const { text, user, channel, ts } = message;
@@ -24,9 +35,13 @@ export async function handleQuote({ message, client, logger }) {
     const channelInfo = await client.conversations.info({ channel });
     const userInfo = await client.users.info({ user });
     
+    // Pinned "Projectize rules" for this channel are passed to the AI as extra instructions
+    const channelRules = await channelRulesService.getRules(client, channel);
+    
     const context = {
       channelName: channelInfo.channel?.name || 'unknown',
-      authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown'
+      authorName: userInfo.user?.real_name || userInfo.user?.name || 'unknown',
+      readmeRules: channelRules.text || undefined
     };
     
     // Extract tasks from quoted content
@@ -41,6 +56,15 @@ export async function handleQuote({ message, client, logger }) {
       return;
     }
     
+    if (extractionResult.tasks.length === 0 && extractionResult.rejected?.length > 0) {
+      await client.chat.postMessage({
+        channel,
+        text: `⚠️ I found possible tasks in the quoted text but the AI returned them in an invalid format:\n${formatRejectedTasks(extractionResult.rejected)}`,
+        thread_ts: ts
+      });
+      return;
+    }
+    
     if (extractionResult.tasks.length === 0) {
       await client.chat.postMessage({
         channel,
@@ -50,9 +74,22 @@ export async function handleQuote({ message, client, logger }) {
       return;
     }
     
-    // Store and preview tasks
-    await storeTaskPreview(ts, channel, user, extractionResult.tasks);
-    await postQuotedTaskPreview(client, channel, extractionResult.tasks, quotedContent, ts);
+    // Match assignees to Motion users, then store and preview tasks
+    const preparedTasks = await prepareTasksForPreview(extractionResult.tasks, {
+      client,
+      authorUserId: user,
+      timezoneOffset: userInfo.user?.tz_offset
+    });
+    
+    // Flag tasks that repeat recent history or open Motion tasks
+    const tasks = await markDuplicateTasks(preparedTasks, {
+      client,
+      channelId: channel,
+      defaultTarget: await getMotionOptions(channel, message.team)
+    });
+    
+    await storeTaskPreview(ts, channel, user, tasks);
+    await postQuotedTaskPreview(client, channel, tasks, quotedContent, ts, extractionResult.rejected);
     
   } catch (error) {
     logger.error('Error in handleQuote:', error);
@@ -64,19 +101,13 @@ export async function handleQuote({ message, client, logger }) {
   }
 }
 
-async function postQuotedTaskPreview(client, channel, tasks, quotedContent, threadTs) {
+async function postQuotedTaskPreview(client, channel, tasks, quotedContent, threadTs, rejected = []) {
   // Truncate quoted content if too long
   const truncatedQuote = quotedContent.length > 200 
     ? quotedContent.substring(0, 200) + '...' 
     : quotedContent;
     
-  const taskBlocks = tasks.map((task, index) => ({
-    type: 'section',
-    text: {
-      type: 'mrkdwn',
-      text: `*${index + 1}. ${task.title}*\n👤 ${task.assignee} ${task.due_date ? `| 📅 ${task.due_date}` : ''} ${task.confidence ? `| 🎯 ${task.confidence}` : ''}\n${task.context ? `_${task.context}_` : ''}`
-    }
-  }));
+  const taskBlocks = buildTaskBlocks(tasks);
   
   await client.chat.postMessage({
     channel,
@@ -97,6 +128,9 @@ async function postQuotedTaskPreview(client, channel, tasks, quotedContent, thre
         }
       },
       ...taskBlocks,
+      ...buildUnresolvedAssigneeNotice(tasks),
+      ...buildRejectedTasksNotice(rejected),
+      ...buildDuplicateNotice(tasks, threadTs),
       {
         type: 'actions',
         elements: [
@@ -121,7 +155,7 @@ async function postQuotedTaskPreview(client, channel, tasks, quotedContent, thre
 
 async function storeTaskPreview(messageTs, channelId, userId, tasks) {
   try {
-    await supabaseService.addToTaskQueue({
+    await storageService.addToTaskQueue({
       slack_message_ts: messageTs,
       slack_channel_id: channelId,
       slack_user_id: userId,
@@ -0,0 +1,197 @@
+import storageService from '../services/storage.js';
+import {
+  isCapturableMessage,
+  extractTasksFromMessages,
+  claimCapture,
+  storeCapturedTasks,
+  releaseCapture
+} from './capture.js';
+import { MAX_MODAL_TASKS, buildEditTasksModal, parseEditTasksSubmission } from './edit-modal.js';
+import { prepareTasksForPreview, formatRejectedTasks } from './preview.js';
+import { handleBatch } from './batch.js';
+
+// callback_id of the message shortcut in SLACK_APP_MANIFEST
+export const EXTRACT_TASKS_SHORTCUT_ID = 'extract_tasks';
+export const SHORTCUT_TASKS_CALLBACK_ID = 'shortcut_tasks_modal';
+
+// "Extract tasks" from a message's menu: show a loading modal straight away (the
+// trigger expires after 3 seconds), then swap in the extracted tasks to edit
+export async function handleExtractTasksShortcut({ shortcut, client }) {
+  const { message, channel, user, team } = shortcut;
+  const teamId = team?.id || shortcut.user?.team_id;
+
+  const loading = await client.views.open({
+    trigger_id: shortcut.trigger_id,
+    view: buildMessageModal('⏳ Extracting tasks from this message...')
+  });
+
+  const showMessage = text => client.views.update({
+    view_id: loading.view.id,
+    view: buildMessageModal(text)
+  });
+
+  if (!isCapturableMessage(message)) {
+    await showMessage(`🤔 There's nothing I can extract tasks from in that message.`);
+    return;
+  }
+
+  const claim = await claimCapture({
+    messageTs: message.ts,
+    channelId: channel.id,
+    authorUserId: message.user,
+    triggeredBy: user.id
+  });
+
+  if (!claim) {
+    await showMessage(`👀 Tasks from that message were already captured. Check its thread.`);
+    return;
+  }
+
+  console.log(`📥 Extract tasks shortcut by ${user.id} on ${channel.id}/${message.ts}`);
+
+  let extractionResult;
+  try {
+    extractionResult = await extractTasksFromMessages({
+      client,
+      channel: channel.id,
+      teamId,
+      messages: [message],
+      authorUserId: message.user
+    });
+  } catch (error) {
+    await releaseCapture(claim, error.message);
+    throw error;
+  }
+
+  if (!extractionResult.success || extractionResult.tasks.length === 0) {
+    await releaseCapture(claim, extractionResult.success ? 'No tasks found' : extractionResult.error);
+  }
+
+  if (!extractionResult.success) {
+    await showMessage(`⚠️ Sorry, I had trouble processing that message. Error: ${extractionResult.error}`);
+    return;
+  }
+
+  if (extractionResult.tasks.length === 0) {
+    await showMessage(extractionResult.rejected?.length > 0
+      ? `⚠️ I found possible tasks but the AI returned them in an invalid format:\n${formatRejectedTasks(extractionResult.rejected)}`
+      : `🤔 I didn't find any clear actionable tasks in that message.`);
+    return;
+  }
+
+  const tasks = extractionResult.tasks.slice(0, MAX_MODAL_TASKS);
+
+  // Held as "editing" until the modal is submitted or closed, so nothing else approves it
+  let queueEntry;
+  try {
+    queueEntry = await storeCapturedTasks({ claim, tasks, status: 'editing' });
+  } catch (error) {
+    console.error('Failed to store captured tasks:', error);
+    await releaseCapture(claim, error.message);
+    await showMessage(`❌ Sorry, I couldn't save the extracted tasks. Please try again.`);
+    return;
+  }
+
+  if (!queueEntry) {
+    await showMessage(`👀 Tasks from that message were already captured. Check its thread.`);
+    return;
+  }
+
+  const skipped = extractionResult.tasks.length - tasks.length;
+  const duplicates = tasks.filter(task => task.duplicate_of).length;
+  const notes = [
+    `Found ${tasks.length} task${tasks.length > 1 ? 's' : ''} in <@${message.user}>'s message. Edit them, then create them in Motion.`,
+    'Tasks without a workspace go to this channel\'s mapped project.',
+    duplicates > 0 ? `${duplicates} look${duplicates === 1 ? 's' : ''} like an existing task and will be skipped.` : null,
+    skipped > 0 ? `Only the first ${MAX_MODAL_TASKS} tasks fit here; ${skipped} more were left out.` : null
+  ].filter(Boolean);
+
+  try {
+    await client.views.update({
+      view_id: loading.view.id,
+      view: buildEditTasksModal(queueEntry, {
+        callbackId: SHORTCUT_TASKS_CALLBACK_ID,
+        title: 'Extract Tasks',
+        submit: 'Create in Motion',
+        intro: notes.join(' ')
+      })
+    });
+  } catch (error) {
+    // Most likely the loading modal was closed while extracting
+    await storageService.updateTaskQueue(queueEntry.id, {
+      status: 'failed',
+      error_message: `Extract tasks modal unavailable: ${error.data?.error || error.message}`
+    });
+    throw error;
+  }
+}
+
+// Submitting the modal saves the edits and creates the tasks, reporting in the message's thread
+export async function handleShortcutTasksSubmission({ body, view, client, logger }) {
+  const { messageTs, channelId } = JSON.parse(view.private_metadata);
+  const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+
+  if (!storedTask || storedTask.status !== 'editing') {
+    return;
+  }
+
+  const { tasks, suggestions } = parseEditTasksSubmission(view, storedTask);
+
+  if (tasks.length === 0) {
+    await storageService.updateTaskQueue(storedTask.id, {
+      status: 'failed',
+      error_message: 'All tasks removed by user'
+    });
+    return;
+  }
+
+  // Re-resolve any assignees or due dates changed in the modal
+  const preparedTasks = await prepareTasksForPreview(tasks, {
+    client,
+    authorUserId: storedTask.slack_user_id
+  });
+
+  await storageService.updateTaskQueue(storedTask.id, {
+    extracted_tasks: preparedTasks,
+    workspace_suggestions: suggestions,
+    status: 'pending'
+  });
+
+  await handleBatch({
+    action: 'approve',
+    messageTs,
+    channelId,
+    userId: body.user.id,
+    teamId: body.team?.id || body.user.team_id,
+    client,
+    logger
+  });
+}
+
+// Closing the modal drops the extracted tasks, so the message can be captured again
+export async function handleShortcutTasksClosed({ view }) {
+  const { messageTs, channelId } = JSON.parse(view.private_metadata || '{}');
+  if (!messageTs) return;
+
+  const storedTask = await storageService.getTaskByMessage(messageTs, channelId);
+
+  if (storedTask && storedTask.status === 'editing') {
+    await storageService.updateTaskQueue(storedTask.id, {
+      status: 'failed',
+      error_message: 'Extract tasks modal closed without creating tasks'
+    });
+  }
+}
+
+function buildMessageModal(text) {
+  return {
+    type: 'modal',
+    callback_id: SHORTCUT_TASKS_CALLBACK_ID,
+    title: { type: 'plain_text', text: 'Extract Tasks' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{
+      type: 'section',
+      text: { type: 'mrkdwn', text }
+    }]
+  };
+}
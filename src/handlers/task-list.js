@@ -0,0 +1,284 @@
+import motionService from '../services/motion.js';
+import storageService from '../services/storage.js';
+import UserLinkageService from '../services/user-linkage.js';
+import { extractEmailFromSlackUser } from '../utils/parser.js';
+
+const userLinkageService = new UserLinkageService(storageService);
+
+const PAGE_SIZE = 10;
+const MAX_MOTION_PAGES = 5; // how far we read into Motion's results for one list
+
+const PRIORITY_LABELS = {
+  ASAP: '🔴 ASAP',
+  HIGH: '🟠 High',
+  MEDIUM: '🟡 Medium',
+  LOW: '⚪ Low'
+};
+const PRIORITY_ORDER = { ASAP: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+// `@projectize my tasks` and `@projectize tasks [for #channel]`. `reply` overrides
+// posting in the thread, e.g. to answer a slash command ephemerally.
+export async function handleTaskListCommand({ client, channel, threadTs, userId, teamId, command, channelId, reply }) {
+  const send = reply || (message => client.chat.postMessage({ channel, thread_ts: threadTs, ...message }));
+
+  const query = command === 'my_tasks'
+    ? await buildMyTasksQuery(client, userId, teamId)
+    : await buildChannelTasksQuery(channelId || channel, teamId, channelId && channelId !== channel);
+
+  if (query.error) {
+    await send({ text: query.error });
+    return;
+  }
+
+  const view = await buildTaskListView({ ...query, page: 0 });
+
+  await send({ text: view.text, blocks: view.blocks });
+}
+
+// Previous/next buttons re-run the query and update the list in place.
+// Ephemeral lists can't be edited with chat.update, only through respond.
+export async function handleTaskListPage({ body, client, respond }) {
+  const query = JSON.parse(body.actions[0].value);
+  const view = await buildTaskListView(query);
+
+  if (body.container?.is_ephemeral && respond) {
+    await respond({ replace_original: true, text: view.text, blocks: view.blocks });
+    return;
+  }
+
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    text: view.text,
+    blocks: view.blocks
+  });
+}
+
+async function buildMyTasksQuery(client, userId, teamId) {
+  const linkage = await userLinkageService.getLinkage(userId, teamId);
+
+  // A linked account lists the user's own tasks across all of their workspaces
+  if (linkage?.motion_access_token) {
+    const { motion, error } = await userLinkageService.getMotionServiceForUser(userId, teamId);
+    if (error) {
+      return { error };
+    }
+
+    let assigneeId = linkage.motion_user_id;
+
+    if (!assigneeId) {
+      const me = await motion.getCurrentUser();
+      assigneeId = me.success ? me.user.id : null;
+    }
+
+    if (assigneeId) {
+      return { mode: 'my', userId, teamId, assigneeId, workspaceId: null };
+    }
+  }
+
+  // Otherwise match the Slack user to a Motion user by email in the default workspace
+  let email = null;
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    email = extractEmailFromSlackUser(userInfo.user);
+  } catch (error) {
+    console.warn(`Could not load Slack user ${userId}:`, error.message);
+  }
+
+  const motionUser = email ? await motionService.findUserByEmail(email) : null;
+
+  if (!motionUser?.success) {
+    return {
+      error: `🔗 I couldn't match you to a Motion user${email ? ` with ${email}` : ''}. Link your Motion account from the Projectize home tab to see your tasks.`
+    };
+  }
+
+  return { mode: 'my', userId, teamId, assigneeId: motionUser.user.id, workspaceId: motionService.workspaceId };
+}
+
+async function buildChannelTasksQuery(channelId, teamId, otherChannel) {
+  const mapping = await storageService.getChannelMapping(channelId, teamId);
+
+  if (!mapping?.motion_workspace_id) {
+    return {
+      error: otherChannel
+        ? `🗺️ <#${channelId}> isn't mapped to a Motion project yet. Mention me there with \`setup\` first.`
+        : `🗺️ This channel isn't mapped to a Motion project yet. Run \`@projectize setup\` first.`
+    };
+  }
+
+  return {
+    mode: 'channel',
+    teamId,
+    channelId,
+    workspaceId: mapping.motion_workspace_id,
+    projectId: mapping.motion_project_id || null,
+    label: mapping.project_name || null
+  };
+}
+
+async function buildTaskListView(query) {
+  const { motion, error: linkError } = query.mode === 'my' && query.userId
+    ? await userLinkageService.getMotionServiceForUser(query.userId, query.teamId)
+    : { motion: motionService };
+
+  if (linkError) {
+    return { text: linkError, blocks: [{ type: 'section', text: { type: 'mrkdwn', text: linkError } }] };
+  }
+
+  const { tasks, error, truncated } = await fetchOpenTasks(motion, query);
+  const title = query.mode === 'my'
+    ? `Open Motion tasks for <@${query.userId}>`
+    : `Open Motion tasks for <#${query.channelId}>${query.label ? ` (${query.label})` : ''}`;
+
+  if (error) {
+    const text = `⚠️ Couldn't load tasks from Motion: ${error}`;
+    return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] };
+  }
+
+  if (tasks.length === 0) {
+    const text = `✅ ${title}: nothing open.`;
+    return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] };
+  }
+
+  const totalPages = Math.ceil(tasks.length / PAGE_SIZE);
+  const page = Math.min(Math.max(query.page || 0, 0), totalPages - 1);
+  const pageTasks = tasks.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  return {
+    text: `${title}: ${tasks.length}${truncated ? '+' : ''} open`,
+    blocks: buildTaskListBlocks(pageTasks, {
+      title,
+      total: tasks.length,
+      truncated,
+      page,
+      totalPages,
+      query,
+      mode: query.mode,
+      motion
+    })
+  };
+}
+
+// Reads a few pages from Motion, keeps open tasks and sorts them by due date, then priority
+async function fetchOpenTasks(motion, query) {
+  const tasks = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const result = await motion.getTasks({
+      workspaceId: query.workspaceId,
+      projectId: query.projectId,
+      assigneeId: query.assigneeId,
+      cursor
+    });
+
+    if (!result.success) {
+      return { tasks: [], error: result.error };
+    }
+
+    tasks.push(...result.tasks.filter(task => !task.completed && !task.status?.isResolvedStatus));
+    cursor = result.nextCursor;
+    pages++;
+  } while (cursor && pages < MAX_MOTION_PAGES);
+
+  tasks.sort((a, b) => {
+    const dueA = a.dueDate ? Date.parse(a.dueDate) : Infinity;
+    const dueB = b.dueDate ? Date.parse(b.dueDate) : Infinity;
+    if (dueA !== dueB) return dueA - dueB;
+    return (PRIORITY_ORDER[a.priority] ?? 9) - (PRIORITY_ORDER[b.priority] ?? 9);
+  });
+
+  return { tasks, truncated: Boolean(cursor) };
+}
+
+export function buildTaskListBlocks(tasks, { title, total, truncated, page, totalPages, query, mode, motion = motionService }) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📋 *${title}* — ${total}${truncated ? '+' : ''} open`
+      }
+    },
+    { type: 'divider' },
+    ...tasks.map(task => ({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: formatTaskLine(task, { mode, motion })
+      }
+    }))
+  ];
+
+  if (totalPages > 1) {
+    const buttons = [];
+
+    if (page > 0) {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: '⬅️ Previous' },
+        action_id: 'task_list_previous',
+        value: JSON.stringify({ ...query, page: page - 1 })
+      });
+    }
+
+    if (page < totalPages - 1) {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: 'Next ➡️' },
+        action_id: 'task_list_next',
+        value: JSON.stringify({ ...query, page: page + 1 })
+      });
+    }
+
+    blocks.push(
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Page ${page + 1} of ${totalPages}` }]
+      },
+      { type: 'actions', elements: buttons }
+    );
+  }
+
+  if (truncated) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Showing the first ${total} open tasks; open Motion for the full list.` }]
+    });
+  }
+
+  return blocks;
+}
+
+function formatTaskLine(task, { mode, motion }) {
+  const details = [formatDueDate(task.dueDate)];
+
+  if (PRIORITY_LABELS[task.priority]) {
+    details.push(PRIORITY_LABELS[task.priority]);
+  }
+
+  if (task.status?.name) {
+    details.push(`🔄 ${task.status.name}`);
+  }
+
+  // Who it's for matters in a channel list; where it lives matters in a personal list
+  if (mode === 'channel') {
+    const assignees = (task.assignees || []).map(a => a.name).filter(Boolean);
+    details.push(`👤 ${assignees.length > 0 ? assignees.join(', ') : 'Unassigned'}`);
+  } else if (task.project?.name || task.workspace?.name) {
+    details.push(`📁 ${task.project?.name || task.workspace.name}`);
+  }
+
+  return `*<${motion.getTaskUrl(task.id)}|${task.name}>*\n${details.join(' | ')}`;
+}
+
+function formatDueDate(dueDate) {
+  if (!dueDate) return '📅 No due date';
+
+  const due = new Date(dueDate);
+  const label = due.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  return due.getTime() < Date.now() ? `📅 ${label} ⚠️ _overdue_` : `📅 ${label}`;
+}
@@ -0,0 +1,272 @@
+import Anthropic from '@anthropic-ai/sdk';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Operations the AI layer performs. Each one can pick its own model and limits.
+export const AI_OPERATIONS = ['extraction', 'feedback', 'mapping', 'analysis', 'health'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-3-haiku-20240307', // Fast, cost-effective for task extraction
+  openai: 'gpt-4o-mini',
+  fake: 'fake'
+};
+
+const DEFAULT_LIMITS = {
+  extraction: { maxTokens: 1000, temperature: 0.1 }, // Low temperature for consistent extraction
+  feedback: { maxTokens: 1500, temperature: 0.1 },
+  mapping: { maxTokens: 300, temperature: 0.2 },
+  analysis: { maxTokens: 2000, temperature: 0.1 },
+  health: { maxTokens: 10, temperature: 0 }
+};
+
+function readNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Per-operation settings come from AI_<OPERATION>_MODEL, AI_<OPERATION>_MAX_TOKENS and
+// AI_<OPERATION>_TEMPERATURE, falling back to AI_MODEL and the defaults above
+export function loadAIConfig(env = process.env) {
+  const provider = (env.AI_PROVIDER || 'anthropic').toLowerCase();
+
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}" (expected one of: ${Object.keys(DEFAULT_MODELS).join(', ')})`);
+  }
+
+  const defaultModel = env.AI_MODEL || DEFAULT_MODELS[provider];
+  const operations = {};
+
+  AI_OPERATIONS.forEach(operation => {
+    const prefix = `AI_${operation.toUpperCase()}`;
+    operations[operation] = {
+      model: env[`${prefix}_MODEL`] || defaultModel,
+      maxTokens: readNumber(`${prefix}_MAX_TOKENS`, DEFAULT_LIMITS[operation].maxTokens),
+      temperature: readNumber(`${prefix}_TEMPERATURE`, DEFAULT_LIMITS[operation].temperature)
+    };
+  });
+
+  return {
+    provider,
+    operations,
+    openai: {
+      baseURL: env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: env.OPENAI_API_KEY || null
+    }
+  };
+}
+
+// Every provider implements:
+//   callTool({ operation, model, maxTokens, temperature, prompt, tool, input }) -> tool input object
+//   complete({ operation, model, maxTokens, temperature, prompt }) -> text
+// Providers return whatever the model produced; schema validation happens in ClaudeService.
+
+export class AnthropicProvider {
+
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.client = options.client || null;
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  }
+
+  // Created on first use so other providers never need an Anthropic key
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async callTool({ model, maxTokens, temperature, prompt, tool }) {
+    const response = await this.getClient().messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name },
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+
+    const toolUse = (response.content || []).find(block => block.type === 'tool_use' && block.name === tool.name);
+    return toolUse ? toolUse.input : null;
+  }
+
+  async complete({ model, maxTokens, temperature, prompt }) {
+    const response = await this.getClient().messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+
+    return (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+// Any server speaking the OpenAI chat completions API with function calling,
+// e.g. a local Ollama, vLLM or LM Studio endpoint
+export class OpenAICompatibleProvider {
+
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseURL = options.baseURL;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    this.client = options.httpClient || axios.create({
+      baseURL: this.baseURL,
+      headers,
+      timeout: 120000 // local models can be slow
+    });
+  }
+
+  async callTool({ model, maxTokens, temperature, prompt, tool }) {
+    const response = await this.client.post('/chat/completions', {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }],
+      tools: [{
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }],
+      tool_choice: { type: 'function', function: { name: tool.name } }
+    });
+
+    const toolCall = response.data.choices?.[0]?.message?.tool_calls
+      ?.find(call => call.function?.name === tool.name);
+
+    if (!toolCall) {
+      return null;
+    }
+
+    // Arguments arrive as a JSON string; a malformed one is reported like a missing tool call
+    try {
+      return JSON.parse(toolCall.function.arguments);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async complete({ model, maxTokens, temperature, prompt }) {
+    const response = await this.client.post('/chat/completions', {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return response.data.choices?.[0]?.message?.content || '';
+  }
+}
+
+const ACTION_CUES = /\b(need(s)? to|will|should|must|have to|has to|going to|please|todo|to-do|by)\b/i;
+const DUE_DATE_PATTERN = /\b(?:by|before|on|due)\s+((?:next\s+|this\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|today|end of (?:day|week|month))|\d{4}-\d{2}-\d{2})\b/i;
+
+// Deterministic stand-in for a model: the same input always gives the same output,
+// with no network calls. Used for tests and dry runs (AI_PROVIDER=fake).
+// Pass `responses` keyed by operation to override the built-in behaviour.
+export class FakeProvider {
+
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.responses = options.responses || {};
+    this.calls = [];
+  }
+
+  async callTool(request) {
+    this.calls.push(request);
+
+    const override = this.responses[request.operation];
+    if (override !== undefined) {
+      return typeof override === 'function' ? override(request) : override;
+    }
+
+    switch (request.operation) {
+      case 'extraction':
+      case 'analysis':
+        return { tasks: this.extractTasks(request.input?.messageText || '') };
+      case 'feedback':
+        return {
+          tasks: (request.input?.tasks || []).map((task, index) => ({ ...task, from: [index + 1] })),
+          summary: 'No changes (fake AI provider)'
+        };
+      case 'mapping':
+        return {
+          workspace: 'General',
+          project: (request.input?.channelName || 'general').replace('#', '').replace(/-/g, ' '),
+          confidence: 'low',
+          reasoning: 'Fake AI provider: mapping based on the channel name'
+        };
+      default:
+        return {};
+    }
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+
+    const override = this.responses[request.operation];
+    if (override !== undefined) {
+      return typeof override === 'function' ? override(request) : override;
+    }
+
+    return 'OK';
+  }
+
+  // Every sentence with an action cue becomes a task
+  extractTasks(messageText) {
+    return messageText
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length >= 3 && ACTION_CUES.test(sentence))
+      .map(sentence => {
+        const mention = sentence.match(/<@[A-Z0-9]+>/);
+        const dueDate = sentence.match(DUE_DATE_PATTERN);
+
+        return {
+          title: sentence.replace(/[.!?]+$/, '').slice(0, 200),
+          assignee: mention ? mention[0] : /\bI('ll| will)\b/.test(sentence) ? 'message_author' : 'infer_from_context',
+          due_date: dueDate ? dueDate[1] : null,
+          priority: 'medium',
+          estimated_time: null,
+          confidence: 'low',
+          context: 'Fake AI provider: sentence contains an action cue',
+          source_message: sentence.slice(0, 1000)
+        };
+      });
+  }
+}
+
+export function createAIProvider(config = loadAIConfig()) {
+  switch (config.provider) {
+    case 'anthropic':
+      return new AnthropicProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider(config.openai);
+    case 'fake':
+      return new FakeProvider();
+    default:
+      throw new Error(`Unknown AI provider "${config.provider}"`);
+  }
+}
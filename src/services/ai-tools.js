@@ -0,0 +1,110 @@
+// Tool definitions used to get schema-checked structured output from the model.
+// Each call forces one tool, so the reply is the tool input rather than prose.
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+export const TASK_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 200,
+      description: 'Short, actionable task title starting with a verb'
+    },
+    assignee: {
+      type: 'string',
+      description: 'Name or <@SLACK_ID> of the person responsible, "message_author" if the author is taking it on, or "infer_from_context" if unclear'
+    },
+    due_date: {
+      type: ['string', 'null'],
+      maxLength: 100,
+      description: 'Due date exactly as phrased in the message (e.g. "next Tuesday", "before Thursday"), or null if none was given'
+    },
+    priority: {
+      type: 'string',
+      enum: PRIORITIES
+    },
+    estimated_time: {
+      type: ['string', 'null'],
+      description: 'Rough effort estimate such as "2 hours", or null if unknown'
+    },
+    confidence: {
+      type: 'string',
+      enum: CONFIDENCE_LEVELS,
+      description: 'How sure you are that this is a real, actionable task'
+    },
+    context: {
+      type: 'string',
+      maxLength: 500,
+      description: 'Brief explanation of why this is a task'
+    },
+    source_message: {
+      type: 'string',
+      maxLength: 1000,
+      description: 'The sentence or message the task was taken from, quoted verbatim'
+    }
+  },
+  required: ['title', 'assignee', 'due_date', 'priority', 'confidence', 'context', 'source_message']
+};
+
+export const EXTRACT_TASKS_TOOL = {
+  name: 'record_tasks',
+  description: 'Record the actionable tasks found in the Slack message. Use an empty list when there are none.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tasks: {
+        type: 'array',
+        items: TASK_SCHEMA
+      }
+    },
+    required: ['tasks']
+  }
+};
+
+export const EDIT_TASKS_TOOL = {
+  name: 'record_edited_tasks',
+  description: 'Record the full task list after applying the user feedback.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tasks: {
+        type: 'array',
+        items: {
+          ...TASK_SCHEMA,
+          properties: {
+            ...TASK_SCHEMA.properties,
+            from: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Numbers of the current tasks this task came from; empty for brand new tasks'
+            }
+          },
+          required: ['title', 'assignee', 'due_date', 'priority', 'context', 'from']
+        }
+      },
+      summary: {
+        type: 'string',
+        description: 'One short sentence describing what changed'
+      }
+    },
+    required: ['tasks', 'summary']
+  }
+};
+
+export const SUGGEST_MAPPING_TOOL = {
+  name: 'suggest_project_mapping',
+  description: 'Suggest the Motion workspace and project this Slack channel maps to.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      workspace: { type: 'string', minLength: 1, description: 'Suggested Motion workspace name' },
+      project: { type: 'string', minLength: 1, description: 'Suggested Motion project name' },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+      reasoning: { type: 'string', description: 'Why this mapping makes sense' }
+    },
+    required: ['workspace', 'project', 'confidence', 'reasoning']
+  }
+};
@@ -0,0 +1,187 @@
+import { extractEmailFromSlackUser, parseSlackUserMention } from '../utils/parser.js';
+import { normalizeName } from './slack-users.js';
+
+// Placeholder assignees Claude returns when nobody is named explicitly
+const AUTHOR_ASSIGNEE = 'message_author';
+const UNASSIGNED_VALUES = ['infer_from_context', 'unassigned', 'unknown', 'none', ''];
+
+export class AssigneeResolverService {
+
+  constructor(motionService) {
+    this.motionService = motionService;
+  }
+
+  async resolveAssignees(tasks, options = {}) {
+    const {
+      client,
+      authorUserId = null,
+      workspaceId = this.motionService.workspaceId,
+      slackUserMap = {} // names seen in the conversation -> Slack user ID
+    } = options;
+
+    // Per-call caches so a batch of tasks only looks each person up once
+    const lookup = {
+      client,
+      authorUserId,
+      workspaceId,
+      slackUserMap,
+      slackUsers: new Map(),
+      motionUsersByEmail: new Map(),
+      motionUsers: null
+    };
+
+    const resolvedTasks = [];
+
+    for (const task of tasks) {
+      // Keep earlier resolutions; edits clear assignee_status to force a new lookup
+      if (task.assignee_status) {
+        resolvedTasks.push(task);
+        continue;
+      }
+      
+      const resolution = await this.resolveAssignee(task.assignee, lookup);
+      resolvedTasks.push({ ...task, ...resolution });
+    }
+
+    const unresolved = resolvedTasks.filter(t => t.assignee_status === 'unresolved').length;
+    if (unresolved > 0) {
+      console.log(`👤 ${unresolved} assignee${unresolved > 1 ? 's' : ''} could not be matched to Motion users`);
+    }
+
+    return resolvedTasks;
+  }
+
+  async resolveAssignee(assignee, lookup) {
+    const rawAssignee = typeof assignee === 'string' ? assignee.trim() : '';
+
+    if (UNASSIGNED_VALUES.includes(rawAssignee.toLowerCase())) {
+      return {
+        assignee_display: 'Unassigned',
+        assignee_slack_id: null,
+        motion_assignee_id: null,
+        assignee_status: 'unassigned'
+      };
+    }
+
+    // "message_author" and <@U...> mentions both point at a concrete Slack user
+    const slackUserId = rawAssignee === AUTHOR_ASSIGNEE
+      ? lookup.authorUserId
+      : parseSlackUserMention(rawAssignee);
+
+    if (slackUserId) {
+      return this.resolveSlackUser(slackUserId, lookup);
+    }
+
+    if (rawAssignee === AUTHOR_ASSIGNEE) {
+      return this.unresolved('Message author');
+    }
+
+    // A name used in the transcript belongs to someone in the conversation
+    const mappedUserId = lookup.slackUserMap[normalizeName(rawAssignee)];
+    if (mappedUserId) {
+      return this.resolveSlackUser(mappedUserId, lookup);
+    }
+
+    return this.resolveByName(rawAssignee, lookup);
+  }
+
+  async resolveSlackUser(slackUserId, lookup) {
+    const slackUser = await this.getSlackUser(slackUserId, lookup);
+    const displayName = slackUser?.real_name || slackUser?.name || `<@${slackUserId}>`;
+    const email = extractEmailFromSlackUser(slackUser);
+
+    if (!email) {
+      return this.unresolved(displayName, slackUserId);
+    }
+
+    const motionUser = await this.findMotionUserByEmail(email, lookup);
+
+    if (!motionUser) {
+      return this.unresolved(displayName, slackUserId);
+    }
+
+    return {
+      assignee_display: motionUser.name || displayName,
+      assignee_slack_id: slackUserId,
+      motion_assignee_id: motionUser.id,
+      assignee_status: 'resolved'
+    };
+  }
+
+  async resolveByName(name, lookup) {
+    const motionUsers = await this.getMotionUsers(lookup);
+    const target = name.toLowerCase().replace(/^@/, '');
+
+    // Prefer an exact full-name match, then fall back to a unique first-name match
+    let matches = motionUsers.filter(u => u.name && u.name.toLowerCase() === target);
+
+    if (matches.length === 0) {
+      matches = motionUsers.filter(u =>
+        u.name && u.name.toLowerCase().split(/\s+/)[0] === target
+      );
+    }
+
+    if (matches.length !== 1) {
+      return this.unresolved(name);
+    }
+
+    return {
+      assignee_display: matches[0].name,
+      assignee_slack_id: null,
+      motion_assignee_id: matches[0].id,
+      assignee_status: 'resolved'
+    };
+  }
+
+  async getSlackUser(slackUserId, lookup) {
+    if (lookup.slackUsers.has(slackUserId)) {
+      return lookup.slackUsers.get(slackUserId);
+    }
+
+    let slackUser = null;
+    try {
+      if (lookup.client) {
+        const userInfo = await lookup.client.users.info({ user: slackUserId });
+        slackUser = userInfo.user || null;
+      }
+    } catch (error) {
+      console.warn(`Could not load Slack user ${slackUserId}:`, error.message);
+    }
+
+    lookup.slackUsers.set(slackUserId, slackUser);
+    return slackUser;
+  }
+
+  async findMotionUserByEmail(email, lookup) {
+    const key = email.toLowerCase();
+
+    if (!lookup.motionUsersByEmail.has(key)) {
+      const result = await this.motionService.findUserByEmail(email, lookup.workspaceId);
+      lookup.motionUsersByEmail.set(key, result.success ? result.user : null);
+    }
+
+    return lookup.motionUsersByEmail.get(key);
+  }
+
+  async getMotionUsers(lookup) {
+    if (lookup.motionUsers === null) {
+      const usersResult = await this.motionService.getUsers(lookup.workspaceId);
+      lookup.motionUsers = usersResult.success && Array.isArray(usersResult.users)
+        ? usersResult.users
+        : [];
+    }
+
+    return lookup.motionUsers;
+  }
+
+  unresolved(displayName, slackUserId = null) {
+    return {
+      assignee_display: displayName,
+      assignee_slack_id: slackUserId,
+      motion_assignee_id: null,
+      assignee_status: 'unresolved'
+    };
+  }
+}
+
+export default AssigneeResolverService;
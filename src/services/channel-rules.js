@@ -0,0 +1,180 @@
+// Per-channel instructions for Projectize, read from a pinned message or a
+// bookmarked canvas/file whose text mentions "Projectize rules", e.g.
+//
+//   📌 Projectize rules
+//   • tasks about invoices go to Finance project
+//   • never assign to @bob
+//   • default due is next Friday
+//
+// The full text is handed to the AI as extra instructions; routing lines
+// ("tasks about X go to Y" or "X -> Y") are also applied by the workspace matcher.
+
+const RULES_MARKER = /projectize\s+rules/i;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const ROUTING_PATTERNS = [
+  /^(?:all\s+)?(?:tasks?|anything|items?)\s+(?:about|for|mentioning|related to|involving)\s+(.+?)\s+(?:go(?:es)?|belongs?|should go|are routed)\s+(?:to|in|into)\s+(.+)$/i,
+  /^(.+?)\s+tasks?\s+(?:go(?:es)?|belongs?|should go)\s+(?:to|in|into)\s+(.+)$/i,
+  /^(.+?)\s*(?:->|→|=>)\s*(.+)$/
+];
+
+const EMPTY_RULES = Object.freeze({ text: null, rules: [], routing: [], sources: [] });
+
+export class ChannelRulesService {
+
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? CACHE_TTL_MS;
+    this.cache = new Map();
+  }
+
+  async getRules(client, channelId) {
+    const cached = this.cache.get(channelId);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return cached.rules;
+    }
+
+    const rules = await this.loadRules(client, channelId);
+    this.cache.set(channelId, { rules, fetchedAt: Date.now() });
+    return rules;
+  }
+
+  // Called on pin_added/pin_removed so edits show up without waiting for the TTL
+  invalidate(channelId) {
+    this.cache.delete(channelId);
+  }
+
+  async loadRules(client, channelId) {
+    const sections = [];
+    const sources = [];
+
+    const pinned = await this.readPinnedRules(client, channelId);
+    pinned.forEach(text => {
+      sections.push(text);
+      sources.push('pinned message');
+    });
+
+    const bookmarked = await this.readBookmarkedRules(client, channelId);
+    bookmarked.forEach(({ title, text }) => {
+      sections.push(text);
+      sources.push(`bookmark "${title}"`);
+    });
+
+    if (sections.length === 0) {
+      return EMPTY_RULES;
+    }
+
+    const text = sections.join('\n');
+    const rules = text
+      .split('\n')
+      .map(line => this.cleanRuleLine(line))
+      .filter(line => line && !RULES_MARKER.test(line));
+
+    console.log(`📌 Loaded ${rules.length} Projectize rule${rules.length !== 1 ? 's' : ''} for ${channelId} from ${sources.join(', ')}`);
+
+    return {
+      text: rules.join('\n'),
+      rules,
+      routing: this.parseRoutingRules(rules),
+      sources
+    };
+  }
+
+  async readPinnedRules(client, channelId) {
+    try {
+      const result = await client.pins.list({ channel: channelId });
+
+      return (result.items || [])
+        .map(item => item.message?.text || item.file?.preview || item.file?.plain_text || '')
+        .filter(text => RULES_MARKER.test(text));
+    } catch (error) {
+      console.warn(`Could not read pins for ${channelId}:`, error.data?.error || error.message);
+      return [];
+    }
+  }
+
+  // Bookmarks titled "Projectize rules" pointing at a canvas/file or a message
+  async readBookmarkedRules(client, channelId) {
+    let bookmarks;
+    try {
+      const result = await client.bookmarks.list({ channel_id: channelId });
+      bookmarks = (result.bookmarks || []).filter(b => RULES_MARKER.test(b.title || ''));
+    } catch (error) {
+      console.warn(`Could not read bookmarks for ${channelId}:`, error.data?.error || error.message);
+      return [];
+    }
+
+    const found = [];
+
+    for (const bookmark of bookmarks) {
+      try {
+        const text = await this.readBookmarkTarget(client, bookmark);
+        if (text) {
+          found.push({ title: bookmark.title, text });
+        }
+      } catch (error) {
+        console.warn(`Could not read bookmark "${bookmark.title}":`, error.data?.error || error.message);
+      }
+    }
+
+    return found;
+  }
+
+  async readBookmarkTarget(client, bookmark) {
+    if (bookmark.entity_id && bookmark.entity_id.startsWith('F')) {
+      const result = await client.files.info({ file: bookmark.entity_id });
+      return result.content || result.file?.plain_text || result.file?.preview || null;
+    }
+
+    // Message permalinks look like /archives/C123/p1700000000123456
+    const permalink = (bookmark.link || '').match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})/);
+    if (permalink) {
+      const history = await client.conversations.history({
+        channel: permalink[1],
+        latest: `${permalink[2]}.${permalink[3]}`,
+        inclusive: true,
+        limit: 1
+      });
+      return history.messages?.[0]?.text || null;
+    }
+
+    return null;
+  }
+
+  cleanRuleLine(line) {
+    return line
+      .replace(/^\s*(?:[-*•▪◦]|\d+[.)])\s*/, '')
+      .replace(/[*_~`]/g, '')
+      .trim();
+  }
+
+  parseRoutingRules(rules) {
+    const routing = [];
+
+    rules.forEach(rule => {
+      for (const pattern of ROUTING_PATTERNS) {
+        const match = rule.match(pattern);
+        if (!match) continue;
+
+        const keywords = match[1]
+          .split(/,|\/|\bor\b|\band\b/i)
+          .map(keyword => keyword.replace(/["'“”]/g, '').trim().toLowerCase())
+          .filter(keyword => keyword.length > 1);
+
+        const target = match[2]
+          .replace(/[.!]+$/, '')
+          .replace(/^the\s+/i, '')
+          .replace(/\s+(?:project|workspace)$/i, '')
+          .trim();
+
+        if (keywords.length > 0 && target) {
+          routing.push({ keywords, target, rule });
+        }
+        break;
+      }
+    });
+
+    return routing;
+  }
+}
+
+export default new ChannelRulesService();
@@ -1,16 +1,104 @@
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
+import { EXTRACT_TASKS_TOOL, EDIT_TASKS_TOOL, SUGGEST_MAPPING_TOOL, TASK_SCHEMA } from './ai-tools.js';
+import { AnthropicProvider, createAIProvider, loadAIConfig } from './ai-provider.js';
+import { validateSchema } from '../utils/validator.js';
 
-dotenv.config();
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// The model replied, but not in the shape the tool schema requires
+export class AIResponseError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.details = details;
+  }
+}
 
 export class ClaudeService {
   
-  constructor() {
-    this.model = 'claude-3-haiku-20240307'; // Fast, cost-effective for task extraction
+  constructor(options = {}) {
+    this.config = options.config || loadAIConfig();
+    
+    // options.client takes any object with messages.create(), e.g. MockAnthropicClient;
+    // options.provider takes any provider, e.g. FakeProvider
+    this.provider = options.provider
+      || (options.client ? new AnthropicProvider({ client: options.client }) : createAIProvider(this.config));
+  }
+  
+  getSettings(operation) {
+    return this.config.operations[operation];
+  }
+  
+  // Force the model to answer through a single tool and return its validated input.
+  // `input` carries the raw request data for providers that don't read the prompt.
+  async callTool(operation, tool, prompt, input = {}) {
+    const settings = this.getSettings(operation);
+    
+    const output = await this.provider.callTool({
+      operation,
+      ...settings,
+      prompt,
+      tool,
+      input
+    });
+    
+    if (!output || typeof output !== 'object') {
+      throw new AIResponseError(`AI response did not use the ${tool.name} tool`);
+    }
+    
+    const validation = validateSchema(tool.input_schema, output, tool.name);
+    
+    if (!validation.valid) {
+      // Task items are checked one by one by the callers, so only fail on
+      // problems with the overall shape here
+      const structuralErrors = validation.errors.filter(error => !/\.tasks\[\d+\]/.test(error));
+      
+      if (structuralErrors.length > 0) {
+        throw new AIResponseError('AI response did not match the expected format', structuralErrors);
+      }
+    }
+    
+    return output;
+  }
+  
+  // Split tool output into tasks that pass the schema and ones that don't,
+  // so invalid items can be reported to the user instead of dropped silently
+  partitionTasks(items, itemSchema = TASK_SCHEMA) {
+    const tasks = [];
+    const rejected = [];
+    
+    items.forEach((item, index) => {
+      const validation = validateSchema(itemSchema, item, `task ${index + 1}`);
+      const cleanTask = validation.valid ? this.validateTask(item) : null;
+      
+      if (cleanTask) {
+        tasks.push({ task: cleanTask, item });
+      } else {
+        rejected.push({
+          index,
+          title: typeof item?.title === 'string' ? item.title : null,
+          errors: validation.errors
+        });
+      }
+    });
+    
+    return { tasks, rejected };
+  }
+  
+  handleAIError(operation, error, fallback = {}) {
+    if (error instanceof AIResponseError) {
+      console.warn(`Claude ${operation} returned invalid output:`, error.message, error.details);
+      return {
+        success: false,
+        error: error.details.length > 0 ? `${error.message} (${error.details.join('; ')})` : error.message,
+        validation_errors: error.details,
+        ...fallback
+      };
+    }
+    
+    console.error(`Claude ${operation} error:`, error);
+    return {
+      success: false,
+      error: error.message,
+      ...fallback
+    };
   }
   
   async extractTasks(messageText, context = {}) {
@@ -18,38 +106,35 @@ export class ClaudeService {
       channelName = 'general',
       authorName = 'unknown',
       readmeRules = 'None specified',
-      previousMessages = []
+      previousMessages = [],
+      analysisType = null
     } = context;
     
+    // Whole-conversation analysis can use a larger model or budget than single messages
+    const operation = analysisType === 'conversation_history' ? 'analysis' : 'extraction';
+    
+    // In a transcript "I'll do it" belongs to whoever said it, not to the person who mentioned the bot
+    const transcriptRules = analysisType === 'conversation_history'
+      ? '\n- This is a transcript of several speakers: when someone commits to a task themselves, use their name as the assignee instead of "message_author"\n- Quote only the message text in source_message, without the timestamp or speaker name'
+      : '';
+    
     const prompt = `You are an AI assistant that extracts actionable tasks from Slack messages.
 
 EXAMPLES:
 Input: "Jenny, I think the website needs to be done next Tuesday for us to launch."
-Output: {
-  "title": "Complete website for launch",
-  "assignee": "Jenny", 
-  "due_date": "next Tuesday",
-  "confidence": "high",
-  "context": "needed for launch"
-}
+Task: title "Complete website for launch", assignee "Jenny", due_date "next Tuesday",
+priority "high", confidence "high", context "needed for launch",
+source_message "Jenny, I think the website needs to be done next Tuesday for us to launch."
 
 Input: "We're going to need the logo before Thursday so we can send to the printer."
-Output: {
-  "title": "Deliver logo for printing", 
-  "assignee": "infer_from_context",
-  "due_date": "before Thursday",
-  "confidence": "medium",
-  "context": "for printer deadline"
-}
+Task: title "Deliver logo for printing", assignee "infer_from_context", due_date "before Thursday",
+priority "medium", confidence "medium", context "for printer deadline",
+source_message "We're going to need the logo before Thursday so we can send to the printer."
 
 Input: "The printer will be finished Friday - I will plan to pick it up."
-Output: {
-  "title": "Pick up from printer",
-  "assignee": "message_author",
-  "due_date": "Friday", 
-  "confidence": "high",
-  "context": "printer completion"
-}
+Task: title "Pick up from printer", assignee "message_author", due_date "Friday",
+priority "medium", confidence "high", context "printer completion",
+source_message "The printer will be finished Friday - I will plan to pick it up."
 
 RULES:
 - Only extract clear, actionable tasks
@@ -57,82 +142,41 @@ RULES:
 - Skip tentative language ("maybe", "might", "could")
 - Skip past due items
 - Skip questions without clear ownership
-- Return empty array if no actionable tasks found
+- Record an empty list if no actionable tasks are found
 - Include confidence level: "high", "medium", or "low"
 - Add brief context explaining why this is a task
+- Quote the sentence each task came from in source_message
+- Follow the channel rules below (assignees to avoid, default due dates, etc.); they take precedence over these rules${transcriptRules}
 
 Extract tasks from this message:
 ${messageText}
 
 Channel context: ${channelName}
 Message author: ${authorName}
-Previous pinned readme rules: ${readmeRules}
+Channel rules (pinned by the team): ${readmeRules}
 
-Return JSON array of task objects. If no actionable tasks found, return empty array [].`;
+Record the tasks with the ${EXTRACT_TASKS_TOOL.name} tool.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: this.model,
-        max_tokens: 1000,
-        temperature: 0.1, // Low temperature for consistent extraction
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+      const output = await this.callTool(operation, EXTRACT_TASKS_TOOL, prompt, { messageText, channelName, authorName });
       
-      const content = response.content[0].text;
+      const { tasks, rejected } = this.partitionTasks(output.tasks);
+      const validTasks = tasks.map(({ task }) => task);
       
-      // Parse JSON response
-      let tasks;
-      try {
-        // Try to extract JSON from the response (Claude might add text before/after)
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        const jsonText = jsonMatch ? jsonMatch[0] : content;
-        
-        const parsed = JSON.parse(jsonText);
-        tasks = Array.isArray(parsed) ? parsed : [parsed];
-      } catch (parseError) {
-        console.warn('Failed to parse Claude response as JSON:', content);
-        
-        // Try to extract JSON more aggressively
-        try {
-          const cleanContent = content
-            .replace(/^[^[{]*/, '') // Remove text before JSON
-            .replace(/[^}\]]*$/, ''); // Remove text after JSON
-          
-          const parsed = JSON.parse(cleanContent);
-          tasks = Array.isArray(parsed) ? parsed : [parsed];
-        } catch (secondParseError) {
-          return {
-            success: false,
-            error: 'Failed to parse AI response',
-            tasks: [],
-            raw_response: content
-          };
-        }
+      if (rejected.length > 0) {
+        console.warn(`⚠️ Rejected ${rejected.length} extracted task(s) that failed validation:`, rejected);
       }
       
-      // Validate and clean tasks
-      const validTasks = tasks
-        .filter(task => task && typeof task === 'object')
-        .map(task => this.validateTask(task))
-        .filter(task => task !== null);
-      
       return {
         success: true,
         tasks: validTasks,
+        rejected,
         total_found: validTasks.length,
-        model_used: this.model
+        model_used: this.getSettings(operation).model
       };
       
     } catch (error) {
-      console.error('Claude API error:', error);
-      return {
-        success: false,
-        error: error.message,
-        tasks: []
-      };
+      return this.handleAIError('extractTasks', error, { tasks: [] });
     }
   }
   
@@ -150,7 +194,8 @@ Return JSON array of task objects. If no actionable tasks found, return empty ar
       confidence: task.confidence || 'medium',
       context: task.context || '',
       priority: task.priority || 'medium',
-      estimated_time: task.estimated_time || null
+      estimated_time: task.estimated_time || null,
+      source_message: task.source_message || null
     };
     
     // Validate confidence level
@@ -166,11 +211,21 @@ Return JSON array of task objects. If no actionable tasks found, return empty ar
     return cleanTask;
   }
   
-  async improveTaskFromFeedback(originalTask, feedback, context = {}) {
-    const prompt = `You are helping improve a task extraction based on user feedback.
+  async improveTaskFromFeedback(originalTasks, feedback, context = {}) {
+    const numberedTasks = originalTasks.map((task, index) => ({
+      number: index + 1,
+      title: task.title,
+      assignee: task.assignee,
+      due_date: task.due_date,
+      priority: task.priority,
+      estimated_time: task.estimated_time,
+      context: task.context
+    }));
+    
+    const prompt = `You are helping edit a list of extracted tasks based on user feedback.
 
-ORIGINAL TASK:
-${JSON.stringify(originalTask, null, 2)}
+CURRENT TASKS:
+${JSON.stringify(numberedTasks, null, 2)}
 
 USER FEEDBACK:
 "${feedback}"
@@ -179,44 +234,54 @@ CONTEXT:
 Channel: ${context.channelName || 'general'}
 Author: ${context.authorName || 'unknown'}
 
-Please return an improved version of the task based on the feedback. 
-Maintain the same JSON structure but update fields as needed.
-If the feedback indicates the task should be removed, return null.`;
+Apply the feedback to the whole list. You may edit fields, remove tasks,
+merge several tasks into one, split a task into several, or add tasks.
+Leave tasks the feedback doesn't mention unchanged.
+
+Record the complete resulting list with the ${EDIT_TASKS_TOOL.name} tool. For each task,
+"from" lists the numbers of the current tasks it came from (empty for brand new tasks),
+and "summary" is one short sentence describing what you changed.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: this.model,
-        max_tokens: 500,
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+      const output = await this.callTool('feedback', EDIT_TASKS_TOOL, prompt, { tasks: originalTasks, feedback });
       
-      const content = response.content[0].text;
+      const { tasks, rejected } = this.partitionTasks(output.tasks, EDIT_TASKS_TOOL.input_schema.properties.tasks.items);
       
-      try {
-        const improvedTask = JSON.parse(content);
-        return improvedTask ? this.validateTask(improvedTask) : null;
-      } catch (parseError) {
-        console.warn('Failed to parse improved task:', content);
-        return originalTask; // Return original if parsing fails
+      // An edit that drops tasks because they were malformed would look like a
+      // deliberate removal in the diff, so refuse the whole edit instead
+      if (rejected.length > 0) {
+        const details = rejected.map(r => `${r.title || `task ${r.index + 1}`}: ${r.errors.join(', ')}`);
+        throw new AIResponseError('AI returned tasks in an invalid format', details);
       }
       
+      const improvedTasks = tasks.map(({ task: cleanTask, item }) => {
+        // Keep track of which original tasks each result came from (0-based)
+        cleanTask.from_tasks = item.from
+          .map(number => number - 1)
+          .filter(index => index >= 0 && index < originalTasks.length);
+        
+        return cleanTask;
+      });
+      
+      return {
+        success: true,
+        tasks: improvedTasks,
+        summary: output.summary
+      };
+      
     } catch (error) {
-      console.error('Claude feedback processing error:', error);
-      return originalTask; // Return original on error
+      return this.handleAIError('improveTaskFromFeedback', error, { tasks: originalTasks });
     }
   }
   
-  async suggestProjectMapping(channelName, channelTopic = '', recentMessages = []) {
+  async suggestProjectMapping(channelName, channelTopic = '', recentMessages = [], channelRules = null) {
     const prompt = `Based on a Slack channel, suggest Motion workspace and project mapping.
 
 CHANNEL INFO:
 Name: ${channelName}
 Topic: ${channelTopic}
 Recent activity: ${recentMessages.slice(0, 3).join('. ')}
+Channel rules (pinned by the team): ${channelRules || 'None specified'}
 
 Suggest appropriate Motion workspace and project names that would make sense for this channel.
 Consider common project patterns like:
@@ -226,72 +291,45 @@ Consider common project patterns like:
 - Sales projects
 - Engineering sprints
 
-Return JSON with suggested mapping:
-{
-  "workspace": "suggested workspace name",
-  "project": "suggested project name", 
-  "confidence": "high/medium/low",
-  "reasoning": "why this mapping makes sense"
-}`;
+Record your suggestion with the ${SUGGEST_MAPPING_TOOL.name} tool.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: this.model,
-        max_tokens: 300,
-        temperature: 0.2,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-      
-      const content = response.content[0].text;
+      const suggestion = await this.callTool('mapping', SUGGEST_MAPPING_TOOL, prompt, { channelName, channelTopic, channelRules });
       
-      try {
-        return JSON.parse(content);
-      } catch (parseError) {
-        return {
-          workspace: 'General',
-          project: channelName.replace('#', '').replace('-', ' '),
-          confidence: 'low',
-          reasoning: 'Default mapping based on channel name'
-        };
-      }
-      
-    } catch (error) {
-      console.error('Project mapping suggestion error:', error);
       return {
-        workspace: 'General',
-        project: channelName.replace('#', '').replace('-', ' '),
-        confidence: 'low',
-        reasoning: 'Error occurred, using default mapping'
+        success: true,
+        ...suggestion
       };
+      
+    } catch (error) {
+      return this.handleAIError('suggestProjectMapping', error);
     }
   }
   
   // Health check
   async healthCheck() {
+    const { model } = this.getSettings('health');
+    
     try {
-      const response = await anthropic.messages.create({
-        model: this.model,
-        max_tokens: 10,
-        messages: [{
-          role: 'user',
-          content: 'Say "OK" if you are working.'
-        }]
+      const response = await this.provider.complete({
+        operation: 'health',
+        ...this.getSettings('health'),
+        prompt: 'Say "OK" if you are working.'
       });
       
       return {
         healthy: true,
-        model: this.model,
-        response: response.content[0].text,
+        provider: this.provider.name,
+        model,
+        response,
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
       return {
         healthy: false,
-        model: this.model,
+        provider: this.provider.name,
+        model,
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -1,18 +1,80 @@
+import slackUserDirectory from './slack-users.js';
+import { estimateTokens, chunkByTokens } from '../utils/tokens.js';
+import { resolveSinceDay } from '../utils/date-resolver.js';
+
+// Each expanded thread costs a conversations.replies call
+const MAX_EXPANDED_THREADS = 20;
+
+// History is read a page at a time; busy channels are capped to the most recent messages
+const HISTORY_PAGE_SIZE = 200;
+export const MAX_HISTORY_MESSAGES = parseInt(process.env.HISTORY_MAX_MESSAGES) || 1000;
+
+// Transcripts larger than one chunk are extracted chunk by chunk and merged
+const DEFAULT_CHUNK_TOKENS = 6000;
+const MAX_CHUNKS = 8;
+const CHUNK_OVERLAP_MESSAGES = 3;
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
 export class ConversationAnalyzerService {
   
-  constructor(claudeService) {
+  constructor(claudeService, userDirectory = slackUserDirectory) {
     this.claudeService = claudeService;
+    this.userDirectory = userDirectory;
   }
   
-  async analyzeConversationHistory(client, channel, currentMessageTs, botUserId) {
+  // options.threadTs scopes the analysis to one thread (the bot was mentioned inside it);
+  // options.expandThreads (or EXPAND_THREAD_REPLIES=true) pulls thread replies in when analyzing the channel;
+  // options.analysisScope comes from parseAnalysisScope ("last 3 days", "from @alice", ...) and
+  // replaces the default "since the last mention" window
+  async analyzeConversationHistory(client, channel, currentMessageTs, botUserId, options = {}) {
     try {
-      console.log(`📚 Analyzing conversation history in channel ${channel}`);
+      const analysisScope = options.analysisScope || {};
+      let threadTs = options.threadTs || null;
+      
+      if (analysisScope.sinceMessage) {
+        if (analysisScope.sinceMessage.channel !== channel) {
+          return { success: false, error: 'That message link is from another channel. Link a message in this channel.', tasks: [], messagesAnalyzed: 0 };
+        }
+        threadTs = analysisScope.sinceMessage.threadTs || threadTs;
+      }
+      
+      if (analysisScope.thread && !threadTs) {
+        return { success: false, error: 'Mention me inside a thread to analyze just that thread.', tasks: [], messagesAnalyzed: 0 };
+      }
+      
+      const scope = threadTs ? 'thread' : 'channel';
+      const windowStart = this.resolveWindowStart(analysisScope, { timezoneOffset: options.timezoneOffset });
+      console.log(`📚 Analyzing conversation history in ${scope} ${channel}${threadTs ? ` (thread ${threadTs})` : ''}${windowStart ? ` since ${windowStart}` : ''}`);
+      
+      let lastBotMention;
+      let messages;
+      
+      if (threadTs) {
+        // Only the replies since the bot was last asked in this thread, unless a window was given
+        const thread = await this.getThreadMessages(client, channel, threadTs, currentMessageTs);
+        lastBotMention = windowStart ? null : this.findLastMentionIn(thread, currentMessageTs, botUserId);
+        const since = windowStart || lastBotMention;
+        messages = thread.filter(msg => !since || parseFloat(msg.ts) > parseFloat(since));
+      } else {
+        // Get the last time the bot was mentioned, unless a window was given
+        lastBotMention = windowStart ? null : await this.findLastBotMention(client, channel, currentMessageTs, botUserId);
+        
+        // Get all messages since the window start or last bot mention (or the last 48 hours)
+        messages = await this.getMessagesSince(client, channel, windowStart || lastBotMention, currentMessageTs);
+        
+        if (options.expandThreads ?? process.env.EXPAND_THREAD_REPLIES === 'true') {
+          messages = await this.expandThreads(client, channel, messages, currentMessageTs);
+        }
+      }
       
-      // Get the last time the bot was mentioned
-      const lastBotMention = await this.findLastBotMention(client, channel, currentMessageTs, botUserId);
+      if (analysisScope.fromUserIds?.length > 0) {
+        messages = messages.filter(msg => analysisScope.fromUserIds.includes(msg.user));
+      }
       
-      // Get all messages since the last bot mention (or last 50 messages if no prior mention)
-      const messages = await this.getMessagesSince(client, channel, lastBotMention, currentMessageTs);
+      // Speakers and mentioned users, so the transcript shows real names
+      const users = await this.loadUsers(client, messages, analysisScope.fromUserIds);
+      const userNames = this.getUserNames(users);
+      const scopeDescription = this.describeScope(analysisScope, userNames);
       
       if (messages.length === 0) {
         console.log(`📭 No conversation history to analyze`);
@@ -20,32 +82,18 @@ export class ConversationAnalyzerService {
           success: true,
           tasks: [],
           messagesAnalyzed: 0,
-          timeRange: 'none'
+          timeRange: 'none',
+          scope,
+          scopeDescription
         };
       }
       
-      console.log(`📊 Found ${messages.length} messages to analyze since ${lastBotMention ? 'last mention' : 'channel start'}`);
-      
-      // Combine messages into conversation context
-      const conversationText = this.buildConversationContext(messages);
-      
-      // Extract tasks from the entire conversation
-      const extractionResult = await this.claudeService.extractTasks(conversationText, {
-        channelName: 'conversation-history',
-        authorName: 'multiple-users',
-        analysisType: 'conversation_history',
-        messageCount: messages.length
-      });
+      console.log(`📊 Found ${messages.length} messages to analyze since ${windowStart ? 'window start' : lastBotMention ? 'last mention' : `${scope} start`}`);
       
-      return {
-        success: extractionResult.success,
-        tasks: extractionResult.tasks || [],
-        messagesAnalyzed: messages.length,
-        timeRange: this.getTimeRange(messages),
-        conversationContext: conversationText.substring(0, 500) + '...', // Preview
-        error: extractionResult.error
-      };
+      const result = await this.analyzeMessages(client, channel, messages, { ...options, users });
       
+      return { ...result, scope, scopeDescription };
+    
     } catch (error) {
       console.error('Conversation analysis error:', error);
       return {
@@ -57,23 +105,50 @@ export class ConversationAnalyzerService {
     }
   }
   
+  // Extracts tasks from messages that were already picked out: the window chosen by
+  // analyzeConversationHistory, or a single captured message and its thread.
+  // options.users reuses a lookup the caller already made.
+  async analyzeMessages(client, channel, messages, options = {}) {
+    const users = options.users || await this.loadUsers(client, messages);
+    const userNames = this.getUserNames(users);
+    
+    // Keep the transcript bounded: at most MAX_CHUNKS chunks of the most recent messages
+    const chunkTokens = options.chunkTokens || parseInt(process.env.AI_ANALYSIS_CHUNK_TOKENS) || DEFAULT_CHUNK_TOKENS;
+    messages = this.trimToBudget(messages, userNames, chunkTokens * MAX_CHUNKS);
+    
+    // Extract tasks chunk by chunk and merge them
+    const extractionResult = await this.extractInChunks(messages, userNames, chunkTokens, options);
+    
+    const tasks = await this.attributeTasks(client, channel, extractionResult.tasks, messages, userNames);
+    
+    return {
+      success: extractionResult.success,
+      tasks,
+      rejected: extractionResult.rejected,
+      messagesAnalyzed: extractionResult.messagesAnalyzed,
+      timeRange: this.getTimeRange(messages),
+      chunks: extractionResult.chunks,
+      chunksFailed: extractionResult.chunksFailed,
+      userMap: this.userDirectory.buildNameMap(users), // name -> Slack ID, for the assignee resolver
+      conversationContext: extractionResult.conversationText.substring(0, 500) + '...', // Preview
+      error: extractionResult.error
+    };
+  }
+  
   async findLastBotMention(client, channel, beforeTs, botUserId) {
     try {
-      // Look back through channel history to find last bot mention
-      const history = await client.conversations.history({
+      const isMention = message => message.ts !== beforeTs && message.text && message.text.includes(`<@${botUserId}>`);
+      
+      // Look back through channel history to find last bot mention, stopping at the first page that has one
+      const messages = await this.fetchHistory(client, {
         channel: channel,
         oldest: Math.floor((Date.now() - 7 * 24 * 60 * 60 * 1000) / 1000), // 7 days ago
-        latest: beforeTs,
-        limit: 200
-      });
-      
-      if (!history.messages) {
-        return null;
-      }
+        latest: beforeTs
+      }, { until: isMention });
       
       // Find the most recent message that mentions the bot (excluding current message)
-      for (const message of history.messages) {
-        if (message.ts !== beforeTs && message.text && message.text.includes(`<@${botUserId}>`)) {
+      for (const message of messages) {
+        if (isMention(message)) {
           console.log(`🔍 Found last bot mention at ${message.ts}`);
           return message.ts;
         }
@@ -90,49 +165,420 @@ export class ConversationAnalyzerService {
   
   async getMessagesSince(client, channel, sinceTs, beforeTs) {
     try {
-      // If no prior mention, get more history (48 hours or 200 messages)
+      // If no prior mention, get more history (48 hours, up to MAX_HISTORY_MESSAGES)
       const oldest = sinceTs || Math.floor((Date.now() - 48 * 60 * 60 * 1000) / 1000); // 48 hours ago if no prior mention
       
-      const history = await client.conversations.history({
+      const messages = await this.fetchHistory(client, {
         channel: channel,
         oldest: oldest,
-        latest: beforeTs,
-        limit: 200 // Increased from 100
+        latest: beforeTs
       });
       
-      if (!history.messages) {
-        return [];
-      }
-      
       // Filter out bot messages and system messages
-      const relevantMessages = history.messages
-        .filter(msg => 
-          msg.type === 'message' && 
-          !msg.subtype && 
-          msg.text && 
-          msg.text.trim().length > 5 &&
-          !msg.text.includes('has joined the channel') &&
-          !msg.text.includes('has left the channel')
-        )
+      const relevantMessages = messages
+        .filter(msg => this.isRelevantMessage(msg))
         .reverse(); // Chronological order
       
       return relevantMessages;
-      
+    
     } catch (error) {
       console.error('Error getting message history:', error);
       return [];
     }
   }
   
-  buildConversationContext(messages) {
-    let context = 'RECENT CONVERSATION HISTORY:\n\n';
+  // Pages through conversations.history (newest first) until maxMessages are read,
+  // history runs out, or a page contains a message matching `until`
+  async fetchHistory(client, params, { maxMessages = MAX_HISTORY_MESSAGES, until = null } = {}) {
+    const messages = [];
+    let cursor;
+    
+    do {
+      const page = await client.conversations.history({
+        ...params,
+        limit: HISTORY_PAGE_SIZE,
+        cursor
+      });
+      
+      const batch = page.messages || [];
+      messages.push(...batch);
+      
+      if (until && batch.some(until)) break;
+      cursor = page.has_more ? page.response_metadata?.next_cursor : null;
+    } while (cursor && messages.length < maxMessages);
+    
+    if (messages.length >= maxMessages && cursor) {
+      console.log(`📜 History capped at the ${maxMessages} most recent messages`);
+    }
+    
+    return messages.slice(0, maxMessages);
+  }
+  
+  // Thread replies come back oldest first, starting with the parent message
+  async getThreadMessages(client, channel, threadTs, beforeTs) {
+    try {
+      const messages = [];
+      let cursor;
+      
+      do {
+        const result = await client.conversations.replies({
+          channel,
+          ts: threadTs,
+          latest: beforeTs,
+          inclusive: false,
+          limit: 200,
+          cursor
+        });
+        
+        messages.push(...(result.messages || []));
+        cursor = result.response_metadata?.next_cursor;
+      } while (cursor);
+      
+      return messages.filter(msg =>
+        (!beforeTs || parseFloat(msg.ts) < parseFloat(beforeTs)) &&
+        this.isRelevantMessage(msg)
+      );
+    
+    } catch (error) {
+      console.error(`Error getting thread ${threadTs} replies:`, error);
+      return [];
+    }
+  }
+  
+  findLastMentionIn(messages, beforeTs, botUserId) {
+    const mentions = messages.filter(msg =>
+      msg.ts !== beforeTs && msg.text && msg.text.includes(`<@${botUserId}>`)
+    );
+    
+    return mentions.length > 0 ? mentions[mentions.length - 1].ts : null;
+  }
+  
+  // Insert each thread's replies right after its parent so the AI sees them in context
+  async expandThreads(client, channel, messages, beforeTs) {
+    const expanded = [];
+    let threadsExpanded = 0;
+    
+    for (const message of messages) {
+      expanded.push(message);
+      
+      if (!message.reply_count || threadsExpanded >= MAX_EXPANDED_THREADS) {
+        continue;
+      }
+      
+      const replies = await this.getThreadMessages(client, channel, message.ts, beforeTs);
+      expanded.push(...replies.filter(reply => reply.ts !== message.ts));
+      threadsExpanded++;
+    }
+    
+    if (threadsExpanded > 0) {
+      console.log(`🧵 Expanded ${threadsExpanded} thread${threadsExpanded !== 1 ? 's' : ''} (${expanded.length - messages.length} replies)`);
+    }
+    
+    return expanded;
+  }
+  
+  isRelevantMessage(msg) {
+    return msg.type === 'message' &&
+      !msg.subtype &&
+      !msg.bot_id &&
+      msg.text &&
+      msg.text.trim().length > 5 &&
+      !msg.text.includes('has joined the channel') &&
+      !msg.text.includes('has left the channel');
+  }
+  
+  // Link each task to the message its source_message was quoted from, so the
+  // preview can point back at the conversation
+  async attributeTasks(client, channel, tasks, messages, userNames = new Map()) {
+    const permalinks = new Map();
+    const attributed = [];
+    
+    for (const task of tasks) {
+      const source = this.findSourceMessage(task.source_message, messages, userNames);
+      
+      if (!source) {
+        attributed.push(task);
+        continue;
+      }
+      
+      if (!permalinks.has(source.ts)) {
+        permalinks.set(source.ts, await this.getPermalink(client, channel, source.ts));
+      }
+      
+      attributed.push({
+        ...task,
+        source_ts: source.ts,
+        source_permalink: permalinks.get(source.ts)
+      });
+    }
+    
+    return attributed;
+  }
+  
+  findSourceMessage(sourceText, messages, userNames = new Map()) {
+    if (!sourceText) return null;
+    
+    const quote = this.normalizeForMatch(sourceText);
+    if (!quote) return null;
+    
+    const exact = messages.find(msg => this.normalizeForMatch(this.cleanMessageText(msg.text, userNames)).includes(quote));
+    if (exact) return exact;
+    
+    // The AI sometimes paraphrases; fall back to the message sharing the most words
+    const quoteWords = new Set(quote.split(' ').filter(word => word.length > 2));
+    let best = null;
+    let bestScore = 0;
+    
+    messages.forEach(msg => {
+      const words = this.normalizeForMatch(this.cleanMessageText(msg.text, userNames)).split(' ');
+      const score = words.filter(word => quoteWords.has(word)).length / (quoteWords.size || 1);
+      
+      if (score > bestScore) {
+        best = msg;
+        bestScore = score;
+      }
+    });
+    
+    return bestScore >= 0.6 ? best : null;
+  }
+  
+  normalizeForMatch(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9@#\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  async getPermalink(client, channel, messageTs) {
+    try {
+      const result = await client.chat.getPermalink({ channel, message_ts: messageTs });
+      return result.permalink || null;
+    } catch (error) {
+      console.warn(`Could not get permalink for ${messageTs}:`, error.data?.error || error.message);
+      return null;
+    }
+  }
+  
+  // Drop the oldest messages until the transcript fits in `maxTokens`
+  trimToBudget(messages, userNames, maxTokens) {
+    let total = 0;
+    let start = messages.length;
+    
+    while (start > 0) {
+      const tokens = estimateTokens(this.formatMessageLine(messages[start - 1], userNames));
+      if (total + tokens > maxTokens && start < messages.length) break;
+      total += tokens;
+      start--;
+    }
+    
+    if (start > 0) {
+      console.log(`✂️ Transcript over budget, analyzing the ${messages.length - start} most recent of ${messages.length} messages`);
+    }
+    
+    return messages.slice(start);
+  }
+  
+  async extractInChunks(messages, userNames, chunkTokens, options = {}) {
+    let chunks = chunkByTokens(messages, chunkTokens, {
+      measure: message => estimateTokens(this.formatMessageLine(message, userNames)),
+      overlap: CHUNK_OVERLAP_MESSAGES
+    });
     
-    messages.forEach((message, index) => {
-      const timestamp = new Date(parseFloat(message.ts) * 1000).toLocaleString();
-      const user = message.user_profile?.real_name || message.user_profile?.display_name || 'User';
-      const text = this.cleanMessageText(message.text);
+    // Overlap can push a trimmed transcript one chunk over; the oldest chunk goes
+    if (chunks.length > MAX_CHUNKS) {
+      chunks = chunks.slice(-MAX_CHUNKS);
+    }
+    
+    if (chunks.length > 1) {
+      console.log(`🧩 Splitting ${messages.length} messages into ${chunks.length} chunks of ~${chunkTokens} tokens`);
+    }
+    
+    const tasks = [];
+    const rejected = [];
+    const errors = [];
+    let conversationText = '';
+    
+    for (let i = 0; i < chunks.length; i++) {
+      const part = chunks.length > 1 ? { index: i + 1, total: chunks.length } : null;
+      const chunkText = this.buildConversationContext(chunks[i], userNames, part);
       
-      context += `[${timestamp}] ${user}: ${text}\n`;
+      if (i === 0) {
+        conversationText = chunkText;
+      }
+      
+      const result = await this.claudeService.extractTasks(chunkText, {
+        channelName: 'conversation-history',
+        authorName: 'multiple-users',
+        analysisType: 'conversation_history',
+        messageCount: chunks[i].length,
+        readmeRules: options.readmeRules || undefined
+      });
+      
+      if (!result.success) {
+        console.warn(`⚠️ Chunk ${i + 1}/${chunks.length} failed: ${result.error}`);
+        errors.push(result.error);
+        continue;
+      }
+      
+      tasks.push(...(result.tasks || []));
+      rejected.push(...(result.rejected || []));
+    }
+    
+    const merged = this.mergeTasks(tasks);
+    if (merged.length < tasks.length) {
+      console.log(`🔗 Merged ${tasks.length - merged.length} duplicate task${tasks.length - merged.length !== 1 ? 's' : ''} across chunks`);
+    }
+    
+    // A partial result is still useful; only fail when every chunk failed
+    return {
+      success: errors.length < chunks.length,
+      tasks: merged,
+      rejected,
+      chunks: chunks.length,
+      chunksFailed: errors.length,
+      messagesAnalyzed: new Set(chunks.flat()).size,
+      conversationText,
+      error: errors[0]
+    };
+  }
+  
+  // Chunks overlap and people repeat themselves, so the same task can come back
+  // more than once. Keep the first sighting and fill its gaps from later ones.
+  mergeTasks(tasks) {
+    const merged = [];
+    
+    tasks.forEach(task => {
+      const existing = merged.find(candidate => this.isSameTask(candidate, task));
+      
+      if (!existing) {
+        merged.push({ ...task });
+        return;
+      }
+      
+      if ((CONFIDENCE_RANK[task.confidence] || 0) > (CONFIDENCE_RANK[existing.confidence] || 0)) {
+        existing.confidence = task.confidence;
+      }
+      
+      ['due_date', 'estimated_time', 'context', 'source_message'].forEach(field => {
+        if (!existing[field] && task[field]) {
+          existing[field] = task[field];
+        }
+      });
+      
+      if (['infer_from_context', 'unassigned', ''].includes(existing.assignee || '') && task.assignee) {
+        existing.assignee = task.assignee;
+      }
+    });
+    
+    return merged;
+  }
+  
+  isSameTask(a, b) {
+    const source = this.normalizeForMatch(a.source_message);
+    if (source && source === this.normalizeForMatch(b.source_message)) {
+      return true;
+    }
+    
+    const wordsA = new Set(this.normalizeForMatch(a.title).split(' ').filter(word => word.length > 2));
+    const wordsB = new Set(this.normalizeForMatch(b.title).split(' ').filter(word => word.length > 2));
+    
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return this.normalizeForMatch(a.title) === this.normalizeForMatch(b.title);
+    }
+    
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / new Set([...wordsA, ...wordsB]).size >= 0.7;
+  }
+  
+  // Oldest timestamp (Slack ts format) the scope allows, or null for the default window.
+  // When several limits are given the latest start wins.
+  resolveWindowStart(analysisScope = {}, { now = new Date(), timezoneOffset } = {}) {
+    const starts = [];
+    
+    if (analysisScope.lookbackSeconds) {
+      starts.push(now.getTime() / 1000 - analysisScope.lookbackSeconds);
+    }
+    
+    if (analysisScope.sinceDay) {
+      const day = resolveSinceDay(analysisScope.sinceDay, { now, timezoneOffset });
+      if (day) starts.push(day.getTime() / 1000);
+    }
+    
+    if (analysisScope.sinceMessage) {
+      // Slack's `oldest` is exclusive; step back so the linked message itself is included
+      starts.push(parseFloat(analysisScope.sinceMessage.ts) - 0.000001);
+    }
+    
+    return starts.length > 0 ? Math.max(...starts).toFixed(6) : null;
+  }
+  
+  describeScope(analysisScope = {}, userNames = new Map()) {
+    const parts = [];
+    
+    if (analysisScope.lookbackSeconds) {
+      const hours = Math.round(analysisScope.lookbackSeconds / 3600);
+      parts.push(hours < 48 ? `last ${hours} hour${hours !== 1 ? 's' : ''}` : `last ${Math.round(hours / 24)} days`);
+    }
+    if (analysisScope.sinceDay) parts.push(`since ${analysisScope.sinceDay}`);
+    if (analysisScope.sinceMessage) parts.push('since the linked message');
+    if (analysisScope.fromUserIds?.length > 0) {
+      parts.push(`from ${analysisScope.fromUserIds.map(id => `@${userNames.get(id) || id}`).join(', ')}`);
+    }
+    
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+  
+  async loadUsers(client, messages, extraUserIds = []) {
+    const userIds = [...extraUserIds];
+    
+    messages.forEach(message => {
+      if (message.user) userIds.push(message.user);
+      for (const match of (message.text || '').matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+        userIds.push(match[1]);
+      }
+    });
+    
+    return this.userDirectory.getUsers(client, userIds);
+  }
+  
+  getUserNames(users) {
+    const names = new Map();
+    users.forEach((user, userId) => {
+      if (user) names.set(userId, this.userDirectory.getDisplayName(user));
+    });
+    return names;
+  }
+  
+  getSpeakerName(message, userNames = new Map()) {
+    return userNames.get(message.user) ||
+      message.user_profile?.real_name ||
+      message.user_profile?.display_name ||
+      'User';
+  }
+  
+  formatMessageLine(message, userNames = new Map()) {
+    const timestamp = new Date(parseFloat(message.ts) * 1000).toLocaleString();
+    const user = this.getSpeakerName(message, userNames);
+    const text = this.cleanMessageText(message.text, userNames);
+    const isReply = message.thread_ts && message.thread_ts !== message.ts;
+    
+    return `${isReply ? '  ↳ ' : ''}[${timestamp}] ${user}: ${text}\n`;
+  }
+  
+  // `part` ({ index, total }) labels one chunk of a longer conversation
+  buildConversationContext(messages, userNames = new Map(), part = null) {
+    let context = part
+      ? `RECENT CONVERSATION HISTORY (part ${part.index} of ${part.total}; earlier and later parts are analyzed separately):\n\n`
+      : 'RECENT CONVERSATION HISTORY:\n\n';
+    
+    const participants = [...new Set(messages.map(m => this.getSpeakerName(m, userNames)))];
+    if (userNames.size > 0) {
+      context += `Participants: ${participants.join(', ')}\n\n`;
+    }
+    
+    messages.forEach(message => {
+      context += this.formatMessageLine(message, userNames);
     });
     
     context += '\nPLEASE EXTRACT ALL ACTIONABLE TASKS from this conversation history. Look for:\n';
@@ -145,11 +591,11 @@ export class ConversationAnalyzerService {
     return context;
   }
   
-  cleanMessageText(text) {
+  cleanMessageText(text, userNames = new Map()) {
     if (!text) return '';
     
     return text
-      .replace(/<@[A-Z0-9]+>/g, '@user') // Replace user mentions
+      .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (match, userId, label) => `@${userNames.get(userId) || label || 'user'}`) // Replace user mentions
       .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1') // Replace channel mentions
       .replace(/<([^|>]+)\|([^>]+)>/g, '$2') // Replace links
       .replace(/\n/g, ' ') // Single line
@@ -172,14 +618,12 @@ export class ConversationAnalyzerService {
     }
   }
   
-  async getConversationSummary(messages, extractedTasks) {
+  async getConversationSummary(messages, extractedTasks, userNames = new Map()) {
     const totalMessages = messages.length;
     const totalTasks = extractedTasks.length;
     const timeRange = this.getTimeRange(messages);
     
-    const participants = [...new Set(messages.map(m => 
-      m.user_profile?.real_name || m.user_profile?.display_name || 'Unknown'
-    ))];
+    const participants = [...new Set(messages.map(m => this.getSpeakerName(m, userNames)))];
     
     return {
       summary: `Analyzed ${totalMessages} messages over ${timeRange}`,
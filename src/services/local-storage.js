@@ -1,14 +1,41 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 
 const DATA_DIR = './data';
 const TASKS_FILE = path.join(DATA_DIR, 'tasks.json');
 const MAPPINGS_FILE = path.join(DATA_DIR, 'mappings.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const LINKAGES_FILE = path.join(DATA_DIR, 'linkages.json');
+
+// Queue entries in these states are done and can be compacted away
+const FINISHED_STATUSES = ['completed', 'failed', 'dead_letter'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A typo here would otherwise become NaN and compact away every finished entry
+function positiveNumber(value, fallback, name) {
+  if (value === undefined || value === null || value === '') return fallback;
+  
+  const number = Number(value);
+  if (Number.isFinite(number) && number > 0) return number;
+  
+  console.warn(`⚠️ Ignoring invalid ${name} "${value}", using ${fallback}`);
+  return fallback;
+}
 
 export class LocalStorageService {
   
-  constructor() {
-    this.ensureDataDir();
+  constructor(options = {}) {
+    this.retentionDays = positiveNumber(
+      options.retentionDays ?? process.env.LOCAL_STORAGE_RETENTION_DAYS, 30, 'LOCAL_STORAGE_RETENTION_DAYS'
+    );
+    this.maxFinishedEntries = positiveNumber(
+      options.maxFinishedEntries ?? process.env.LOCAL_STORAGE_MAX_FINISHED, 500, 'LOCAL_STORAGE_MAX_FINISHED'
+    );
+    
+    // Per-file promise chains so read-modify-write cycles never interleave
+    this.fileQueues = new Map();
+    this.ready = this.ensureDataDir();
   }
   
   async ensureDataDir() {
@@ -19,110 +46,361 @@ export class LocalStorageService {
     }
   }
   
+  generateId() {
+    return crypto.randomUUID();
+  }
+  
+  // Run fn after every earlier operation on the same file has finished
+  enqueue(filename, fn) {
+    const previous = this.fileQueues.get(filename) || this.ready;
+    const result = previous.catch(() => {}).then(fn);
+    
+    const tail = result.catch(() => {});
+    this.fileQueues.set(filename, tail);
+    tail.then(() => {
+      if (this.fileQueues.get(filename) === tail) {
+        this.fileQueues.delete(filename);
+      }
+    });
+    
+    return result;
+  }
+  
+  read(filename) {
+    return this.enqueue(filename, () => this.readFile(filename));
+  }
+  
+  // Read the file, let the mutator change it in place, then write it back atomically.
+  // Whatever the mutator returns is passed back to the caller.
+  update(filename, mutator) {
+    return this.enqueue(filename, async () => {
+      const data = await this.readFile(filename);
+      const result = await mutator(data);
+      await this.writeFile(filename, data);
+      return result;
+    });
+  }
+  
   async readFile(filename) {
+    let raw;
+    
+    try {
+      raw = await fs.readFile(filename, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    
     try {
-      const data = await fs.readFile(filename, 'utf8');
-      return JSON.parse(data);
+      return this.parseRecords(raw, filename);
     } catch (error) {
-      return [];
+      return this.recoverFromBackup(filename, error);
     }
   }
   
-  async writeFile(filename, data) {
-    await fs.writeFile(filename, JSON.stringify(data, null, 2));
+  parseRecords(raw, filename) {
+    const data = JSON.parse(raw);
+    
+    if (!Array.isArray(data)) {
+      throw new Error(`${filename} does not contain a JSON array`);
+    }
+    
+    return data;
   }
   
-  // Task queue operations
-  async addToTaskQueue(taskData) {
-    const tasks = await this.readFile(TASKS_FILE);
-    const newTask = {
-      id: Date.now().toString(),
-      ...taskData,
-      created_at: new Date().toISOString(),
-      status: 'pending'
-    };
+  // Never hand back [] for a corrupt file: the next write would wipe everything.
+  // Keep the broken copy for inspection and restore the last good backup instead.
+  async recoverFromBackup(filename, parseError) {
+    const corruptCopy = `${filename}.corrupt-${Date.now()}`;
+    await fs.copyFile(filename, corruptCopy);
+    console.error(`❌ ${filename} is corrupt (${parseError.message}), saved a copy to ${corruptCopy}`);
     
-    tasks.push(newTask);
-    await this.writeFile(TASKS_FILE, tasks);
-    return newTask;
+    let backup;
+    try {
+      backup = this.parseRecords(await fs.readFile(`${filename}.bak`, 'utf8'), `${filename}.bak`);
+    } catch (backupError) {
+      throw new Error(`${filename} is corrupt and no usable backup was found: ${parseError.message}`);
+    }
+    
+    await this.writeFile(filename, backup, { backup: false });
+    console.warn(`⚠️ Restored ${filename} from backup (${backup.length} records)`);
+    return backup;
   }
   
-  async updateTaskQueue(id, updates) {
-    const tasks = await this.readFile(TASKS_FILE);
-    const taskIndex = tasks.findIndex(t => t.id === id);
+  // Write to a temp file and rename over the original, so a crash mid-write
+  // leaves either the old file or the new one, never half of each.
+  // The backup is written the same way and always matches the last good write.
+  async writeFile(filename, data, { backup = true } = {}) {
+    await this.ready;
+    
+    const contents = JSON.stringify(data, null, 2);
+    await this.writeAtomic(filename, contents);
+    
+    if (backup) {
+      try {
+        await this.writeAtomic(`${filename}.bak`, contents);
+      } catch (error) {
+        console.warn(`⚠️ Could not back up ${filename}:`, error.message);
+      }
+    }
+  }
+  
+  async writeAtomic(filename, contents) {
+    const tempFile = `${filename}.${process.pid}.${crypto.randomUUID()}.tmp`;
     
-    if (taskIndex === -1) {
-      throw new Error(`Task with id ${id} not found`);
+    try {
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(contents);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      
+      await fs.rename(tempFile, filename);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true });
+      throw error;
     }
+  }
+  
+  // Drop finished queue entries past the retention window, and keep at most
+  // maxFinishedEntries of the most recent ones
+  compactTasks(tasks, now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const finishedAt = task => new Date(task.last_attempt || task.created_at).getTime();
+    
+    const keptFinished = tasks
+      .filter(t => FINISHED_STATUSES.includes(t.status) && finishedAt(t) >= cutoff)
+      .sort((a, b) => finishedAt(b) - finishedAt(a))
+      .slice(0, this.maxFinishedEntries);
+    const keepIds = new Set(keptFinished.map(t => t.id));
     
-    tasks[taskIndex] = {
-      ...tasks[taskIndex],
-      ...updates,
-      last_attempt: new Date().toISOString()
-    };
+    const before = tasks.length;
+    const kept = tasks.filter(t => !FINISHED_STATUSES.includes(t.status) || keepIds.has(t.id));
+    tasks.splice(0, tasks.length, ...kept);
     
-    await this.writeFile(TASKS_FILE, tasks);
-    return tasks[taskIndex];
+    return before - kept.length;
+  }
+  
+  async compact() {
+    const removed = await this.update(TASKS_FILE, tasks => this.compactTasks(tasks));
+    
+    if (removed > 0) {
+      console.log(`🧹 Compacted ${removed} finished task queue entr${removed === 1 ? 'y' : 'ies'}`);
+    }
+    
+    return removed;
+  }
+  
+  // Task queue operations
+  async addToTaskQueue(taskData) {
+    return this.update(TASKS_FILE, tasks => {
+      const newTask = {
+        id: this.generateId(),
+        ...taskData,
+        created_at: new Date().toISOString(),
+        status: 'pending'
+      };
+      
+      this.compactTasks(tasks);
+      tasks.push(newTask);
+      return newTask;
+    });
+  }
+  
+  async updateTaskQueue(id, updates) {
+    return this.update(TASKS_FILE, tasks => {
+      const taskIndex = tasks.findIndex(t => t.id === id);
+      
+      if (taskIndex === -1) {
+        throw new Error(`Task with id ${id} not found`);
+      }
+      
+      tasks[taskIndex] = {
+        ...tasks[taskIndex],
+        ...updates,
+        last_attempt: new Date().toISOString()
+      };
+      
+      return tasks[taskIndex];
+    });
+  }
+  
+  // Only updates the entry if it is still in one of fromStatuses, so two
+  // concurrent approvals can't both start syncing. Returns null if it wasn't.
+  async claimTaskQueue(id, fromStatuses, updates) {
+    return this.update(TASKS_FILE, tasks => {
+      const taskIndex = tasks.findIndex(t => t.id === id);
+      
+      if (taskIndex === -1 || !fromStatuses.includes(tasks[taskIndex].status)) {
+        return null;
+      }
+      
+      tasks[taskIndex] = {
+        ...tasks[taskIndex],
+        ...updates,
+        last_attempt: new Date().toISOString()
+      };
+      
+      return tasks[taskIndex];
+    });
   }
   
   async getPendingTasks(limit = 10) {
-    const tasks = await this.readFile(TASKS_FILE);
+    const tasks = await this.read(TASKS_FILE);
     return tasks
       .filter(t => t.status === 'pending' && (t.retry_count || 0) < 3)
       .slice(0, limit);
   }
   
+  // Entries waiting on a Motion retry whose next attempt is due
+  async getDueRetries(limit = 10) {
+    const tasks = await this.read(TASKS_FILE);
+    const now = Date.now();
+    const dueAt = task => (task.next_attempt_at ? new Date(task.next_attempt_at).getTime() : 0);
+    
+    return tasks
+      .filter(t => t.status === 'retrying' && dueAt(t) <= now)
+      .sort((a, b) => dueAt(a) - dueAt(b))
+      .slice(0, limit);
+  }
+  
   async getTaskByMessage(messageTs, channelId) {
-    const tasks = await this.readFile(TASKS_FILE);
-    return tasks.find(t => 
+    const tasks = await this.read(TASKS_FILE);
+    const matches = tasks.filter(t => 
       t.slack_message_ts === messageTs && 
       t.slack_channel_id === channelId
     );
+    return matches[matches.length - 1] || null;
+  }
+  
+  async getTaskByThread(threadTs, channelId) {
+    const tasks = await this.read(TASKS_FILE);
+    const matches = tasks.filter(t => 
+      t.slack_thread_ts === threadTs && 
+      t.slack_channel_id === channelId
+    );
+    return matches[matches.length - 1] || null;
+  }
+  
+  // Newest first
+  async getChannelTaskQueue(channelId, limit = 20) {
+    const tasks = await this.read(TASKS_FILE);
+    return tasks
+      .filter(t => t.slack_channel_id === channelId)
+      .reverse()
+      .slice(0, limit);
   }
   
   // Channel mapping operations
   async getChannelMapping(channelId, workspaceId) {
-    const mappings = await this.readFile(MAPPINGS_FILE);
+    const mappings = await this.read(MAPPINGS_FILE);
     return mappings.find(m => 
       m.slack_channel_id === channelId && 
       m.slack_workspace_id === workspaceId
-    );
+    ) || null;
   }
   
   async createChannelMapping(mappingData) {
-    const mappings = await this.readFile(MAPPINGS_FILE);
-    const newMapping = {
-      id: Date.now().toString(),
-      ...mappingData,
-      created_at: new Date().toISOString()
-    };
-    
-    mappings.push(newMapping);
-    await this.writeFile(MAPPINGS_FILE, mappings);
-    return newMapping;
+    return this.update(MAPPINGS_FILE, mappings => {
+      const newMapping = {
+        id: this.generateId(),
+        ...mappingData,
+        created_at: new Date().toISOString()
+      };
+      
+      mappings.push(newMapping);
+      return newMapping;
+    });
+  }
+  
+  async updateChannelMapping(channelId, workspaceId, updates) {
+    return this.update(MAPPINGS_FILE, mappings => {
+      const mappingIndex = mappings.findIndex(m => 
+        m.slack_channel_id === channelId && 
+        m.slack_workspace_id === workspaceId
+      );
+      
+      if (mappingIndex === -1) {
+        throw new Error(`Channel mapping for ${channelId} not found`);
+      }
+      
+      mappings[mappingIndex] = {
+        ...mappings[mappingIndex],
+        ...updates
+      };
+      
+      return mappings[mappingIndex];
+    });
   }
   
   // Task history operations
   async addTaskHistory(historyData) {
-    // For local testing, just log to console
-    console.log('📋 Task History:', {
-      channel: historyData.slack_channel_id,
-      tasks: historyData.extracted_tasks?.length || 0,
-      success: historyData.success,
-      timestamp: new Date().toISOString()
+    return this.update(HISTORY_FILE, history => {
+      const entry = {
+        id: this.generateId(),
+        ...historyData,
+        created_at: new Date().toISOString()
+      };
+      
+      history.push(entry);
+      return entry;
     });
-    return { id: Date.now().toString(), ...historyData };
   }
   
-  // User linkage operations (simplified for testing)
+  async getTaskHistory(channelId, limit = 50) {
+    const history = await this.read(HISTORY_FILE);
+    return history
+      .filter(h => h.slack_channel_id === channelId)
+      .reverse()
+      .slice(0, limit);
+  }
+  
+  // User linkage operations
   async getUserLinkage(slackUserId, workspaceId) {
-    // For testing, return null (no user linkages)
-    return null;
+    const linkages = await this.read(LINKAGES_FILE);
+    return linkages.find(l => 
+      l.slack_user_id === slackUserId && 
+      l.slack_workspace_id === workspaceId
+    ) || null;
   }
   
   async createUserLinkage(linkageData) {
-    console.log('🔗 User linkage created (local testing):', linkageData);
-    return { id: Date.now().toString(), ...linkageData };
+    return this.update(LINKAGES_FILE, linkages => {
+      const newLinkage = {
+        id: this.generateId(),
+        ...linkageData,
+        linked_at: linkageData.linked_at || new Date().toISOString(),
+        last_used: new Date().toISOString()
+      };
+      
+      linkages.push(newLinkage);
+      return newLinkage;
+    });
+  }
+  
+  async updateUserLinkage(slackUserId, workspaceId, updates) {
+    return this.update(LINKAGES_FILE, linkages => {
+      const linkageIndex = linkages.findIndex(l => 
+        l.slack_user_id === slackUserId && 
+        l.slack_workspace_id === workspaceId
+      );
+      
+      if (linkageIndex === -1) {
+        throw new Error(`User linkage for ${slackUserId} not found`);
+      }
+      
+      linkages[linkageIndex] = {
+        ...linkages[linkageIndex],
+        ...updates,
+        last_used: new Date().toISOString()
+      };
+      
+      return linkages[linkageIndex];
+    });
   }
   
   // Health check
@@ -146,12 +424,14 @@ export class LocalStorageService {
   
   // Debug: Show all stored data
   async showDebugInfo() {
-    const tasks = await this.readFile(TASKS_FILE);
-    const mappings = await this.readFile(MAPPINGS_FILE);
+    const tasks = await this.read(TASKS_FILE);
+    const mappings = await this.read(MAPPINGS_FILE);
+    const history = await this.read(HISTORY_FILE);
     
     console.log('📊 Local Storage Debug:');
     console.log(`  Tasks: ${tasks.length}`);
     console.log(`  Channel Mappings: ${mappings.length}`);
+    console.log(`  History Entries: ${history.length}`);
     
     if (tasks.length > 0) {
       console.log('  Recent Tasks:');
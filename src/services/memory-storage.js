@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+
+// In-memory storage backend with the same interface as the Supabase and
+// local-file services. Nothing survives a restart, which makes it handy for
+// running the bot offline or exercising handlers without touching disk.
+export class MemoryStorageService {
+
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tasks = [];
+    this.mappings = [];
+    this.history = [];
+    this.linkages = [];
+  }
+
+  // Hand out copies so callers can't mutate stored records by accident
+  clone(record) {
+    return record ? structuredClone(record) : null;
+  }
+
+  // User linkage operations
+  async getUserLinkage(slackUserId, workspaceId) {
+    return this.clone(this.linkages.find(l =>
+      l.slack_user_id === slackUserId &&
+      l.slack_workspace_id === workspaceId
+    ));
+  }
+
+  async createUserLinkage(linkageData) {
+    const newLinkage = {
+      id: crypto.randomUUID(),
+      ...linkageData,
+      linked_at: linkageData.linked_at || new Date().toISOString(),
+      last_used: new Date().toISOString()
+    };
+
+    this.linkages.push(newLinkage);
+    return this.clone(newLinkage);
+  }
+
+  async updateUserLinkage(slackUserId, workspaceId, updates) {
+    const linkage = this.linkages.find(l =>
+      l.slack_user_id === slackUserId &&
+      l.slack_workspace_id === workspaceId
+    );
+
+    if (!linkage) {
+      throw new Error(`User linkage for ${slackUserId} not found`);
+    }
+
+    Object.assign(linkage, updates, { last_used: new Date().toISOString() });
+    return this.clone(linkage);
+  }
+
+  // Channel mapping operations
+  async getChannelMapping(channelId, workspaceId) {
+    return this.clone(this.mappings.find(m =>
+      m.slack_channel_id === channelId &&
+      m.slack_workspace_id === workspaceId
+    ));
+  }
+
+  async createChannelMapping(mappingData) {
+    const newMapping = {
+      id: crypto.randomUUID(),
+      ...mappingData,
+      created_at: new Date().toISOString()
+    };
+
+    this.mappings.push(newMapping);
+    return this.clone(newMapping);
+  }
+
+  async updateChannelMapping(channelId, workspaceId, updates) {
+    const mapping = this.mappings.find(m =>
+      m.slack_channel_id === channelId &&
+      m.slack_workspace_id === workspaceId
+    );
+
+    if (!mapping) {
+      throw new Error(`Channel mapping for ${channelId} not found`);
+    }
+
+    Object.assign(mapping, updates);
+    return this.clone(mapping);
+  }
+
+  // Task queue operations
+  async addToTaskQueue(taskData) {
+    const newTask = {
+      id: crypto.randomUUID(),
+      retry_count: 0,
+      ...taskData,
+      created_at: new Date().toISOString(),
+      status: 'pending'
+    };
+
+    this.tasks.push(newTask);
+    return this.clone(newTask);
+  }
+
+  async updateTaskQueue(id, updates) {
+    const task = this.tasks.find(t => t.id === id);
+
+    if (!task) {
+      throw new Error(`Task with id ${id} not found`);
+    }
+
+    Object.assign(task, updates, { last_attempt: new Date().toISOString() });
+    return this.clone(task);
+  }
+
+  async claimTaskQueue(id, fromStatuses, updates) {
+    const task = this.tasks.find(t => t.id === id);
+
+    if (!task || !fromStatuses.includes(task.status)) {
+      return null;
+    }
+
+    Object.assign(task, updates, { last_attempt: new Date().toISOString() });
+    return this.clone(task);
+  }
+
+  async getPendingTasks(limit = 10) {
+    return this.tasks
+      .filter(t => t.status === 'pending' && (t.retry_count || 0) < 3)
+      .slice(0, limit)
+      .map(t => this.clone(t));
+  }
+
+  async getDueRetries(limit = 10) {
+    const now = Date.now();
+    const dueAt = task => (task.next_attempt_at ? new Date(task.next_attempt_at).getTime() : 0);
+
+    return this.tasks
+      .filter(t => t.status === 'retrying' && dueAt(t) <= now)
+      .sort((a, b) => dueAt(a) - dueAt(b))
+      .slice(0, limit)
+      .map(t => this.clone(t));
+  }
+
+  async getTaskByMessage(messageTs, channelId) {
+    const matches = this.tasks.filter(t =>
+      t.slack_message_ts === messageTs &&
+      t.slack_channel_id === channelId
+    );
+
+    return this.clone(matches[matches.length - 1]);
+  }
+
+  async getTaskByThread(threadTs, channelId) {
+    const matches = this.tasks.filter(t =>
+      t.slack_thread_ts === threadTs &&
+      t.slack_channel_id === channelId
+    );
+
+    return this.clone(matches[matches.length - 1]);
+  }
+
+  // Newest first
+  async getChannelTaskQueue(channelId, limit = 20) {
+    return this.tasks
+      .filter(t => t.slack_channel_id === channelId)
+      .reverse()
+      .slice(0, limit)
+      .map(t => this.clone(t));
+  }
+
+  // Task history operations
+  async addTaskHistory(historyData) {
+    const entry = {
+      id: crypto.randomUUID(),
+      ...historyData,
+      created_at: new Date().toISOString()
+    };
+
+    this.history.push(entry);
+    return this.clone(entry);
+  }
+
+  async getTaskHistory(channelId, limit = 50) {
+    return this.history
+      .filter(h => h.slack_channel_id === channelId)
+      .reverse()
+      .slice(0, limit)
+      .map(h => this.clone(h));
+  }
+
+  // Health check
+  async healthCheck() {
+    return {
+      healthy: true,
+      storage: 'memory',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default MemoryStorageService;
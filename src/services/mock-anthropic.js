@@ -0,0 +1,88 @@
+// Offline stand-in for the Anthropic SDK client. Queue the replies a test
+// expects (or pass a handler that builds them), hand the mock to
+// `new ClaudeService({ client })`, and inspect `requests` afterwards.
+
+let responseCounter = 0;
+
+export function toolUseResponse(name, input) {
+  responseCounter++;
+
+  return {
+    id: `msg_mock_${responseCounter}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'mock',
+    stop_reason: 'tool_use',
+    content: [{
+      type: 'tool_use',
+      id: `toolu_mock_${responseCounter}`,
+      name,
+      input
+    }],
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+export function textResponse(text) {
+  responseCounter++;
+
+  return {
+    id: `msg_mock_${responseCounter}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'mock',
+    stop_reason: 'end_turn',
+    content: [{ type: 'text', text }],
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+export class MockAnthropicClient {
+
+  constructor(handler = null) {
+    this.handler = handler;
+    this.responses = [];
+    this.requests = [];
+
+    // Same shape as the SDK: client.messages.create(params)
+    this.messages = {
+      create: (params) => this.create(params)
+    };
+  }
+
+  queueToolResponse(name, input) {
+    this.responses.push(toolUseResponse(name, input));
+    return this;
+  }
+
+  queueTextResponse(text) {
+    this.responses.push(textResponse(text));
+    return this;
+  }
+
+  // Queue an error to be thrown by the next call, e.g. to simulate an API outage
+  queueError(error) {
+    this.responses.push(error instanceof Error ? error : new Error(error));
+    return this;
+  }
+
+  async create(params) {
+    this.requests.push(params);
+
+    const response = this.responses.length > 0
+      ? this.responses.shift()
+      : this.handler && await this.handler(params);
+
+    if (!response) {
+      throw new Error('MockAnthropicClient has no response queued');
+    }
+
+    if (response instanceof Error) {
+      throw response;
+    }
+
+    return response;
+  }
+}
+
+export default MockAnthropicClient;
@@ -1,16 +1,53 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { resolveDueDate } from '../utils/date-resolver.js';
 
 dotenv.config();
 
+// Statuses worth retrying: rate limits and server-side failures
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Methods that are safe to send twice
+const IDEMPOTENT_METHODS = ['get', 'patch', 'delete'];
+
+// Rate limits are rejected before Motion does anything, so any request can be retried
+// in place. A 5xx may come after Motion already created the task, so only idempotent
+// requests are; failed creates are left to the retry queue and each task's sync_status.
+function isRetryableRequest(status, method) {
+  if (status === 429) return true;
+  return isRetryableStatus(status) && IDEMPOTENT_METHODS.includes((method || 'get').toLowerCase());
+}
+
+// retry-after may be a number of seconds or an HTTP date; returns milliseconds or null
+export function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+  
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const MOTION_APP_URL = 'https://app.usemotion.com';
+
 export class MotionService {
   
-  constructor() {
-    this.apiKey = process.env.MOTION_API_KEY;
-    this.workspaceId = process.env.MOTION_WORKSPACE_ID;
+  constructor(options = {}) {
+    // Defaults to the admin key; linked users get their own instance with their key
+    this.apiKey = options.apiKey || process.env.MOTION_API_KEY;
+    this.workspaceId = options.workspaceId || process.env.MOTION_WORKSPACE_ID;
     this.baseURL = 'https://api.usemotion.com/v1';
     this.rateLimitDelay = 1000; // 1 second between requests
     this.maxRetries = 3;
+    this.retryBaseDelay = 1000; // first backoff step, doubled on each retry
+    this.maxRetryDelay = 30000; // longer waits are left to the retry queue
     
     // Setup axios instance with defaults
     this.client = axios.create({
@@ -24,6 +61,9 @@ export class MotionService {
     
     // Add request interceptor for rate limiting
     this.setupRateLimiting();
+    
+    // Retry 429s, and 5xx responses to idempotent requests, with backoff
+    this.setupRetries();
   }
   
   setupRateLimiting() {
@@ -43,17 +83,59 @@ export class MotionService {
     });
   }
   
+  setupRetries() {
+    this.client.interceptors.response.use(null, async (error) => {
+      const config = error.config;
+      const status = error.response?.status;
+      
+      if (!config || !isRetryableRequest(status, config.method)) {
+        throw error;
+      }
+      
+      config.retryCount = (config.retryCount || 0) + 1;
+      
+      if (config.retryCount > this.maxRetries) {
+        throw error;
+      }
+      
+      const delay = this.getRetryDelay(config.retryCount, error.response.headers?.['retry-after']);
+      
+      if (delay > this.maxRetryDelay) {
+        throw error;
+      }
+      
+      console.warn(`⏳ Motion API returned ${status}, retrying in ${Math.round(delay / 1000)}s (${config.retryCount}/${this.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+      return this.client.request(config);
+    });
+  }
+  
+  // Exponential backoff with full jitter, but never sooner than Motion asked for
+  getRetryDelay(attempt, retryAfterHeader) {
+    const backoff = this.retryBaseDelay * 2 ** (attempt - 1);
+    const jittered = Math.random() * backoff;
+    const retryAfter = parseRetryAfter(retryAfterHeader);
+    
+    return retryAfter !== null ? Math.max(retryAfter, jittered) : jittered;
+  }
+  
   async createTask(taskData, options = {}) {
     const {
       workspaceId = this.workspaceId,
       projectId = null,
-      assigneeId = null
+      assigneeId = taskData.motion_assignee_id || null
     } = options;
     
     // Transform task data to Motion API format
     const motionTask = {
       name: taskData.title,
-      description: taskData.context || '',
+      description: [
+        taskData.context,
+        taskData.source_permalink && `From Slack: ${taskData.source_permalink}`,
+        // Lets a retry find this task if the create succeeded but wasn't recorded
+        taskData.idempotency_key && `Projectize ID: ${taskData.idempotency_key}`
+      ].filter(Boolean).join('\n\n'),
       workspaceId: workspaceId,
       projectId: projectId,
       assigneeId: assigneeId,
@@ -61,9 +143,11 @@ export class MotionService {
       status: 'TODO'
     };
     
-    // Add due date if specified
-    if (taskData.due_date) {
-      const dueDate = this.parseDueDate(taskData.due_date);
+    // Add due date if specified, reusing the date shown in the preview when we have it
+    if (taskData.due_date_resolved?.date) {
+      motionTask.dueDate = taskData.due_date_resolved.date;
+    } else if (taskData.due_date) {
+      const dueDate = this.parseDueDate(taskData.due_date, options.timezoneOffset);
       if (dueDate) {
         motionTask.dueDate = dueDate.toISOString();
       }
@@ -156,13 +240,91 @@ export class MotionService {
     }
   }
   
+  // One page of tasks; pass the returned nextCursor to get the next page.
+  // workspaceId: null lists tasks from every workspace the key can see.
+  // status is a status name or an array of them.
+  async getTasks(options = {}) {
+    const {
+      workspaceId = this.workspaceId,
+      projectId = null,
+      assigneeId = null,
+      status = null,
+      cursor = null
+    } = options;
+    
+    try {
+      const params = new URLSearchParams();
+      if (workspaceId) params.set('workspaceId', workspaceId);
+      if (projectId) params.set('projectId', projectId);
+      if (assigneeId) params.set('assigneeId', assigneeId);
+      [].concat(status || []).forEach(name => params.append('status', name));
+      if (cursor) params.set('cursor', cursor);
+      
+      const response = await this.client.get(`/tasks?${params.toString()}`);
+      
+      return {
+        success: true,
+        tasks: response.data.tasks || [],
+        nextCursor: response.data.meta?.nextCursor || null
+      };
+      
+    } catch (error) {
+      return this.handleError('getTasks', error, { workspaceId, projectId, assigneeId, status });
+    }
+  }
+  
+  async getTask(taskId) {
+    try {
+      const response = await this.client.get(`/tasks/${taskId}`);
+      
+      return {
+        success: true,
+        task: response.data
+      };
+      
+    } catch (error) {
+      return this.handleError('getTask', error, { taskId });
+    }
+  }
+  
+  // fields use Motion's names, e.g. { dueDate, assigneeId, status, priority }
+  async updateTask(taskId, fields) {
+    try {
+      const response = await this.client.patch(`/tasks/${taskId}`, fields);
+      
+      return {
+        success: true,
+        task: response.data
+      };
+      
+    } catch (error) {
+      return this.handleError('updateTask', error, { taskId, fields });
+    }
+  }
+  
+  async deleteTask(taskId) {
+    try {
+      await this.client.delete(`/tasks/${taskId}`);
+      
+      return { success: true };
+      
+    } catch (error) {
+      return this.handleError('deleteTask', error, { taskId });
+    }
+  }
+  
+  // Link to a task in the Motion web app
+  getTaskUrl(taskId) {
+    return `${MOTION_APP_URL}/web/pm/tasks/${taskId}`;
+  }
+  
   async getUsers(workspaceId = this.workspaceId) {
     try {
       const response = await this.client.get(`/workspaces/${workspaceId}/users`);
       
       return {
         success: true,
-        users: response.data
+        users: response.data.users || response.data
       };
       
     } catch (error) {
@@ -170,6 +332,20 @@ export class MotionService {
     }
   }
   
+  async getCurrentUser() {
+    try {
+      const response = await this.client.get('/users/me');
+      
+      return {
+        success: true,
+        user: response.data
+      };
+      
+    } catch (error) {
+      return this.handleError('getCurrentUser', error);
+    }
+  }
+  
   async findUserByEmail(email, workspaceId = this.workspaceId) {
     try {
       const usersResult = await this.getUsers(workspaceId);
@@ -224,67 +400,22 @@ export class MotionService {
     return priorityMap[priority.toLowerCase()] || 'MEDIUM';
   }
   
-  parseDueDate(dueDateString) {
+  parseDueDate(dueDateString, timezoneOffset) {
     try {
-      // Handle common due date formats
-      const now = new Date();
-      const lowerDue = dueDateString.toLowerCase();
-      
-      if (lowerDue.includes('today')) {
-        return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59);
-      }
+      const resolved = resolveDueDate(dueDateString, timezoneOffset === undefined ? {} : { timezoneOffset });
       
-      if (lowerDue.includes('tomorrow')) {
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        return new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), 23, 59);
+      if (!resolved.date) {
+        console.warn('Failed to parse due date:', dueDateString);
+        return null;
       }
       
-      if (lowerDue.includes('monday')) {
-        return this.getNextWeekday(1); // Monday = 1
-      }
-      if (lowerDue.includes('tuesday')) {
-        return this.getNextWeekday(2);
-      }
-      if (lowerDue.includes('wednesday')) {
-        return this.getNextWeekday(3);
-      }
-      if (lowerDue.includes('thursday')) {
-        return this.getNextWeekday(4);
-      }
-      if (lowerDue.includes('friday')) {
-        return this.getNextWeekday(5);
-      }
-      
-      // Try to parse as regular date
-      const parsed = new Date(dueDateString);
-      if (!isNaN(parsed.getTime())) {
-        return parsed;
-      }
-      
-      return null;
+      return new Date(resolved.date);
     } catch (error) {
       console.warn('Failed to parse due date:', dueDateString);
       return null;
     }
   }
   
-  getNextWeekday(targetDay) {
-    const now = new Date();
-    const currentDay = now.getDay();
-    let daysUntilTarget = targetDay - currentDay;
-    
-    if (daysUntilTarget <= 0) {
-      daysUntilTarget += 7; // Next week
-    }
-    
-    const targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() + daysUntilTarget);
-    targetDate.setHours(23, 59, 0, 0);
-    
-    return targetDate;
-  }
-  
   handleError(operation, error, context = {}) {
     const errorInfo = {
       success: false,
@@ -298,11 +429,13 @@ export class MotionService {
       errorInfo.status = error.response.status;
       errorInfo.statusText = error.response.statusText;
       errorInfo.data = error.response.data;
+      errorInfo.retryable = isRetryableStatus(error.response.status);
       
       // Handle specific Motion API errors
       if (error.response.status === 429) {
         errorInfo.error = 'Rate limit exceeded';
-        errorInfo.retryAfter = error.response.headers['retry-after'] || 60;
+        const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+        errorInfo.retryAfter = retryAfter !== null ? Math.ceil(retryAfter / 1000) : 60;
       } else if (error.response.status === 401) {
         errorInfo.error = 'Invalid API key or authentication failed';
       } else if (error.response.status === 403) {
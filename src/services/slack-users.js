@@ -0,0 +1,89 @@
+// Cached Slack user lookups, so transcripts can show who said what without
+// calling users.info for every message
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+export class SlackUserDirectory {
+
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? CACHE_TTL_MS;
+    this.cache = new Map();
+  }
+
+  async getUser(client, userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return cached.user;
+    }
+
+    let user = null;
+    try {
+      const result = await client.users.info({ user: userId });
+      user = result.user || null;
+    } catch (error) {
+      console.warn(`Could not load Slack user ${userId}:`, error.data?.error || error.message);
+    }
+
+    this.cache.set(userId, { user, fetchedAt: Date.now() });
+    return user;
+  }
+
+  // Look up every user once; returns Map<userId, user|null>
+  async getUsers(client, userIds) {
+    const users = new Map();
+
+    for (const userId of new Set(userIds)) {
+      users.set(userId, await this.getUser(client, userId));
+    }
+
+    return users;
+  }
+
+  getDisplayName(user, fallback = 'User') {
+    if (!user) return fallback;
+
+    return user.profile?.display_name ||
+      user.real_name ||
+      user.profile?.real_name ||
+      user.name ||
+      fallback;
+  }
+
+  // Lowercased names (display name, real name, handle and first name) -> Slack user ID.
+  // A name shared by two people maps to null so it is never guessed.
+  buildNameMap(users) {
+    const nameMap = {};
+
+    const add = (name, userId) => {
+      const key = normalizeName(name);
+      if (!key) return;
+
+      if (key in nameMap && nameMap[key] !== userId) {
+        nameMap[key] = null;
+      } else {
+        nameMap[key] = userId;
+      }
+    };
+
+    users.forEach((user, userId) => {
+      if (!user || user.is_bot || user.deleted) return;
+
+      const realName = user.real_name || user.profile?.real_name;
+      add(user.profile?.display_name, userId);
+      add(realName, userId);
+      add(user.name, userId);
+      add(realName?.split(/\s+/)[0], userId);
+    });
+
+    return nameMap;
+  }
+
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+}
+
+export function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/^@/, '').trim();
+}
+
+export default new SlackUserDirectory();
@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+import { LATEST_SCHEMA_VERSION } from '../setup/migrations/index.js';
+
+dotenv.config();
+
+// Every storage backend implements these methods with the same arguments and
+// return shapes, so handlers never need to know which one is in use.
+// Lookups resolve to null when nothing matches; writes resolve to the stored record.
+export const STORAGE_METHODS = [
+  'getUserLinkage',
+  'createUserLinkage',
+  'updateUserLinkage',
+  'getChannelMapping',
+  'createChannelMapping',
+  'updateChannelMapping',
+  'addToTaskQueue',
+  'updateTaskQueue',
+  'claimTaskQueue',
+  'getPendingTasks',
+  'getDueRetries',
+  'getTaskByMessage',
+  'getTaskByThread',
+  'getChannelTaskQueue',
+  'addTaskHistory',
+  'getTaskHistory',
+  'healthCheck'
+];
+
+export const STORAGE_BACKENDS = ['supabase', 'local', 'memory'];
+
+// STORAGE_BACKEND picks the backend explicitly; otherwise use Supabase when
+// it's configured and fall back to local JSON files
+export function getStorageBackend() {
+  const configured = (process.env.STORAGE_BACKEND || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!STORAGE_BACKENDS.includes(configured)) {
+      throw new Error(`Unknown STORAGE_BACKEND "${configured}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+    }
+    return configured;
+  }
+
+  return process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY ? 'supabase' : 'local';
+}
+
+export function assertStorageInterface(service, backend = 'custom') {
+  const missing = STORAGE_METHODS.filter(method => typeof service?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${backend}" is missing: ${missing.join(', ')}`);
+  }
+
+  return service;
+}
+
+export async function createStorageService(backend = getStorageBackend()) {
+  let service;
+
+  // Import lazily so the Supabase client is only created when it's actually used
+  switch (backend) {
+    case 'supabase':
+      service = (await import('./supabase.js')).default;
+      break;
+    case 'local':
+      service = (await import('./local-storage.js')).default;
+      break;
+    case 'memory': {
+      const { MemoryStorageService } = await import('./memory-storage.js');
+      service = new MemoryStorageService();
+      break;
+    }
+    default:
+      throw new Error(`Unknown storage backend "${backend}"`);
+  }
+
+  return assertStorageInterface(service, backend);
+}
+
+// Backends with a migrated schema (Supabase) report its version; refuse to run
+// against one that's missing migrations this code depends on
+export async function checkStorageSchema(service, backend = 'custom') {
+  if (typeof service?.getSchemaVersion !== 'function') return null;
+
+  const version = await service.getSchemaVersion();
+
+  if (version < LATEST_SCHEMA_VERSION) {
+    throw new Error(`Storage backend "${backend}" is at schema version ${version} but this version of Projectize needs ${LATEST_SCHEMA_VERSION}. Run \`npm run setup:supabase\` to apply pending migrations.`);
+  }
+
+  if (version > LATEST_SCHEMA_VERSION) {
+    console.warn(`⚠️ Storage schema version ${version} is newer than this code expects (${LATEST_SCHEMA_VERSION})`);
+  }
+
+  return version;
+}
+
+export const storageBackend = getStorageBackend();
+
+const storageService = await createStorageService(storageBackend);
+
+export default storageService;
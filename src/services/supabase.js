@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { MISSING_TABLE_ERRORS } from '../setup/migrations/index.js';
 
 dotenv.config();
 
@@ -138,6 +139,27 @@ export class SupabaseService {
     return data;
   }
   
+  // Only updates the entry if it is still in one of fromStatuses, so two
+  // concurrent approvals can't both start syncing. Returns null if it wasn't.
+  async claimTaskQueue(id, fromStatuses, updates) {
+    const { data, error } = await supabase
+      .from('task_queue')
+      .update({
+        ...updates,
+        last_attempt: new Date().toISOString()
+      })
+      .eq('id', id)
+      .in('status', fromStatuses)
+      .select()
+      .maybeSingle();
+      
+    if (error) {
+      throw new Error(`Failed to claim task queue entry: ${error.message}`);
+    }
+    
+    return data;
+  }
+  
   async getPendingTasks(limit = 10) {
     const { data, error } = await supabase
       .from('task_queue')
@@ -154,6 +176,74 @@ export class SupabaseService {
     return data || [];
   }
   
+  // Entries waiting on a Motion retry whose next attempt is due
+  async getDueRetries(limit = 10) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('task_queue')
+      .select('*')
+      .eq('status', 'retrying')
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+      .order('next_attempt_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+      
+    if (error) {
+      throw new Error(`Failed to get due retries: ${error.message}`);
+    }
+    
+    return data || [];
+  }
+  
+  async getTaskByMessage(messageTs, channelId) {
+    const { data, error } = await supabase
+      .from('task_queue')
+      .select('*')
+      .eq('slack_message_ts', messageTs)
+      .eq('slack_channel_id', channelId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+      
+    if (error) {
+      throw new Error(`Failed to get queued tasks: ${error.message}`);
+    }
+    
+    return data;
+  }
+  
+  // The entry whose preview was posted in this thread
+  async getTaskByThread(threadTs, channelId) {
+    const { data, error } = await supabase
+      .from('task_queue')
+      .select('*')
+      .eq('slack_thread_ts', threadTs)
+      .eq('slack_channel_id', channelId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+      
+    if (error) {
+      throw new Error(`Failed to get queued tasks for thread: ${error.message}`);
+    }
+    
+    return data;
+  }
+  
+  async getChannelTaskQueue(channelId, limit = 20) {
+    const { data, error } = await supabase
+      .from('task_queue')
+      .select('*')
+      .eq('slack_channel_id', channelId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+      
+    if (error) {
+      throw new Error(`Failed to get channel task queue: ${error.message}`);
+    }
+    
+    return data || [];
+  }
+  
   // Task history operations
   async addTaskHistory(historyData) {
     const { data, error } = await supabase
@@ -184,6 +274,25 @@ export class SupabaseService {
     return data || [];
   }
   
+  // Highest migration applied by setup:supabase; 0 if migrations were never run
+  async getSchemaVersion() {
+    const { data, error } = await supabase
+      .from('schema_migrations')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      if (MISSING_TABLE_ERRORS.includes(error.code)) {
+        return 0;
+      }
+      throw new Error(`Failed to get schema version: ${error.message}`);
+    }
+    
+    return data?.version || 0;
+  }
+  
   // Health check
   async healthCheck() {
     try {
@@ -196,10 +305,11 @@ export class SupabaseService {
         throw error;
       }
       
-      return { healthy: true, timestamp: new Date().toISOString() };
+      return { healthy: true, storage: 'supabase', timestamp: new Date().toISOString() };
     } catch (error) {
       return { 
         healthy: false, 
+        storage: 'supabase',
         error: error.message,
         timestamp: new Date().toISOString() 
       };
@@ -0,0 +1,216 @@
+// Flags freshly extracted tasks that were already extracted in this channel
+// recently, or that already exist as open tasks in the target Motion project.
+// Duplicates stay in the preview, marked with a link to the existing task, and
+// are excluded from syncing unless someone chooses to include them.
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'about', 'our', 'your',
+  'their', 'this', 'that', 'task', 'tasks', 'new', 'get', 'make', 'up'
+]);
+
+// Titles this similar are duplicates on their own; somewhat similar titles
+// also need a matching assignee or due date
+const STRONG_TITLE_MATCH = 0.8;
+const WEAK_TITLE_MATCH = 0.5;
+const MAX_MOTION_PAGES = 5;
+
+export class TaskDedupService {
+
+  constructor(storage, motionService) {
+    this.storage = storage;
+    this.motionService = motionService;
+  }
+
+  // options.targets[i] ({ workspaceId, projectId }) is where task i would be created,
+  // falling back to options.defaultTarget. Returns the tasks with `duplicate_of` and
+  // `excluded` set on likely duplicates.
+  async markDuplicates(tasks, options = {}) {
+    const {
+      channelId,
+      client,
+      targets = [],
+      defaultTarget = { workspaceId: this.motionService.workspaceId, projectId: null },
+      historyLimit = 50
+    } = options;
+
+    const history = await this.getHistoryCandidates(channelId, client, historyLimit);
+    const motionCache = new Map();
+    const marked = [];
+
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+
+      // Decisions from an earlier pass (or a user including the task) are kept
+      if (task.duplicate_of !== undefined) {
+        marked.push(task);
+        continue;
+      }
+
+      const target = targets[i] || defaultTarget;
+      const motionTasks = await this.getOpenMotionTasks(target, motionCache);
+
+      const match = this.findMatch(task, history) || this.findMatch(task, motionTasks);
+
+      marked.push(match
+        ? { ...task, duplicate_of: match, excluded: true }
+        : { ...task, duplicate_of: null });
+    }
+
+    const duplicates = marked.filter(t => t.duplicate_of).length;
+    if (duplicates > 0) {
+      console.log(`♻️ ${duplicates} likely duplicate task${duplicates > 1 ? 's' : ''} excluded`);
+    }
+
+    return marked;
+  }
+
+  async getHistoryCandidates(channelId, client, limit) {
+    if (!channelId) return [];
+
+    let entries = [];
+    try {
+      entries = await this.storage.getTaskHistory(channelId, limit);
+    } catch (error) {
+      console.warn('Could not load task history for deduplication:', error.message);
+      return [];
+    }
+
+    const candidates = [];
+    const permalinks = new Map();
+
+    for (const entry of entries) {
+      for (const task of entry.extracted_tasks || []) {
+        if (!task.title || task.excluded) continue;
+
+        // Prefer linking to the Motion task; otherwise to the Slack preview it came from
+        let url = task.motion_task_id ? this.motionService.getTaskUrl(task.motion_task_id) : null;
+        if (!url && client && entry.slack_message_ts) {
+          if (!permalinks.has(entry.slack_message_ts)) {
+            permalinks.set(entry.slack_message_ts, await this.getPermalink(client, channelId, entry.slack_message_ts));
+          }
+          url = permalinks.get(entry.slack_message_ts);
+        }
+
+        candidates.push({
+          source: 'history',
+          title: task.title,
+          assignees: [task.assignee_display, task.assignee].filter(Boolean),
+          dueDate: task.due_date_resolved?.date || null,
+          motionTaskId: task.motion_task_id || null,
+          url
+        });
+      }
+    }
+
+    return candidates;
+  }
+
+  async getOpenMotionTasks(target, cache) {
+    const key = `${target.workspaceId}:${target.projectId || ''}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const candidates = [];
+    let cursor = null;
+    let pages = 0;
+
+    do {
+      const result = await this.motionService.getTasks({
+        workspaceId: target.workspaceId,
+        projectId: target.projectId,
+        cursor
+      });
+
+      if (!result.success) break;
+
+      result.tasks
+        .filter(task => !task.completed && !task.status?.isResolvedStatus)
+        .forEach(task => candidates.push({
+          source: 'motion',
+          title: task.name,
+          assignees: (task.assignees || []).map(a => a.name).filter(Boolean),
+          dueDate: task.dueDate || null,
+          motionTaskId: task.id,
+          url: this.motionService.getTaskUrl(task.id)
+        }));
+
+      cursor = result.nextCursor;
+      pages++;
+    } while (cursor && pages < MAX_MOTION_PAGES);
+
+    cache.set(key, candidates);
+    return candidates;
+  }
+
+  findMatch(task, candidates) {
+    let best = null;
+
+    candidates.forEach(candidate => {
+      const titleScore = this.titleSimilarity(task.title, candidate.title);
+      if (titleScore < WEAK_TITLE_MATCH) return;
+
+      const sameAssignee = this.sameAssignee(task, candidate);
+      const sameDueDate = this.sameDueDate(task, candidate);
+
+      if (titleScore < STRONG_TITLE_MATCH && !sameAssignee && !sameDueDate) return;
+
+      const score = titleScore + (sameAssignee ? 0.1 : 0) + (sameDueDate ? 0.1 : 0);
+      if (!best || score > best.score) {
+        best = {
+          source: candidate.source,
+          title: candidate.title,
+          motion_task_id: candidate.motionTaskId,
+          url: candidate.url,
+          score: Math.min(1, Math.round(score * 100) / 100)
+        };
+      }
+    });
+
+    return best;
+  }
+
+  titleSimilarity(a, b) {
+    const wordsA = this.titleWords(a);
+    const wordsB = this.titleWords(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / new Set([...wordsA, ...wordsB]).size;
+  }
+
+  titleWords(title) {
+    return new Set((title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      .map(word => word.replace(/(ing|ed|es|s)$/, '')));
+  }
+
+  sameAssignee(task, candidate) {
+    const names = [task.assignee_display, task.assignee]
+      .filter(name => name && !['Unassigned', 'infer_from_context', 'message_author'].includes(name))
+      .map(name => name.toLowerCase());
+
+    return candidate.assignees.some(assignee => {
+      const other = assignee.toLowerCase();
+      return names.some(name => name === other || name.split(/\s+/)[0] === other.split(/\s+/)[0]);
+    });
+  }
+
+  sameDueDate(task, candidate) {
+    const date = task.due_date_resolved?.date;
+    return Boolean(date && candidate.dueDate && date.slice(0, 10) === candidate.dueDate.slice(0, 10));
+  }
+
+  async getPermalink(client, channel, messageTs) {
+    try {
+      const result = await client.chat.getPermalink({ channel, message_ts: messageTs });
+      return result.permalink || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default TaskDedupService;
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+
+// Per-task sync states stored on each extracted task
+export const SYNC_STATUS = {
+  PENDING: 'pending',
+  CREATING: 'creating',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+const MAX_LOOKUP_PAGES = 10;
+
+export class TaskSyncService {
+
+  constructor(storage) {
+    this.storage = storage;
+    this.creationDelay = 500; // ms between task creations
+  }
+
+  // Give each task a stable idempotency key and sync state. Tasks that already
+  // have them keep them, so a retry recognises what was created last time.
+  // The key is written into the Motion description, see findCreatedTask.
+  prepareTasks(tasks = []) {
+    return tasks.map(task => ({
+      ...task,
+      idempotency_key: task.idempotency_key || crypto.randomUUID(),
+      sync_status: task.sync_status || SYNC_STATUS.PENDING,
+      motion_task_id: task.motion_task_id || null
+    }));
+  }
+
+  // Atomically move a queue entry into 'processing'. Returns null when another
+  // click or worker already claimed it, otherwise the entry with sync state attached.
+  async claim(queueEntry, fromStatuses = ['pending'], updates = {}) {
+    const claimed = await this.storage.claimTaskQueue(queueEntry.id, fromStatuses, {
+      ...updates,
+      status: 'processing'
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    return this.storage.updateTaskQueue(claimed.id, {
+      extracted_tasks: this.prepareTasks(claimed.extracted_tasks)
+    });
+  }
+
+  // Create every task that isn't in Motion yet. Each task is saved as 'creating'
+  // before the request and with its outcome after, so a crash or retry never
+  // re-creates a task that already succeeded.
+  // getTaskOptions(task, index) returns the createTask options, or null to skip with an error.
+  // The options are saved on the task, so by default retries reuse what the approval chose.
+  // Tasks marked `excluded` (e.g. likely duplicates) are left out entirely.
+  async syncTasks(queueEntry, motion, getTaskOptions = task => task.motion_options || {}) {
+    const tasks = this.prepareTasks(queueEntry.extracted_tasks);
+    const results = [];
+    let alreadyCreated = 0;
+
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+
+      if (task.excluded) {
+        continue;
+      }
+
+      if (task.sync_status === SYNC_STATUS.CREATED && task.motion_task_id) {
+        alreadyCreated++;
+        continue;
+      }
+
+      if (results.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.creationDelay));
+      }
+
+      const options = getTaskOptions(task, i);
+      let result;
+
+      if (!options) {
+        result = { success: false, error: 'No Motion workspace selected' };
+      } else if (task.sync_status === SYNC_STATUS.CREATING) {
+        // The last attempt stopped mid-create, so the task may already be in Motion
+        result = await this.findCreatedTask(task, motion, options);
+      }
+
+      if (!result) {
+        task.sync_status = SYNC_STATUS.CREATING;
+        await this.storage.updateTaskQueue(queueEntry.id, { extracted_tasks: tasks });
+
+        result = await motion.createTask(task, options);
+      }
+
+      if (options) {
+        task.motion_options = {
+          workspaceId: options.workspaceId || null,
+          projectId: options.projectId || null
+        };
+      }
+
+      if (result.success) {
+        task.sync_status = SYNC_STATUS.CREATED;
+        task.motion_task_id = result.motionTaskId;
+        task.sync_error = null;
+      } else if (result.lookupFailed) {
+        // Still unknown whether it exists; stay 'creating' so the next retry looks again
+        task.sync_error = result.error;
+      } else {
+        task.sync_status = SYNC_STATUS.FAILED;
+        task.sync_error = result.error;
+      }
+
+      results.push({ ...result, task, index: i });
+
+      await this.storage.updateTaskQueue(queueEntry.id, { extracted_tasks: tasks });
+    }
+
+    const included = tasks.filter(t => !t.excluded);
+    const created = included.filter(t => t.sync_status === SYNC_STATUS.CREATED);
+    const failedResults = results.filter(r => !r.success);
+    const retryAfters = failedResults.map(r => r.retryAfter).filter(Boolean);
+
+    return {
+      success: created.length === included.length,
+      total: included.length,
+      excluded: tasks.length - included.length,
+      successful: results.length - failedResults.length,
+      alreadyCreated,
+      failed: included.length - created.length,
+      results,
+      failed_tasks: failedResults,
+      retryAfter: retryAfters.length > 0 ? Math.max(...retryAfters) : null,
+      motionTaskIds: created.map(t => t.motion_task_id),
+      newMotionTaskIds: results.filter(r => r.success).map(r => r.motionTaskId),
+      tasks
+    };
+  }
+
+  // Looks for a task created on an earlier attempt by the idempotency key in its
+  // description. Returns a createTask-style success, null when there's none, or a
+  // failure with lookupFailed when Motion couldn't be searched.
+  async findCreatedTask(task, motion, options) {
+    let cursor = null;
+    let pages = 0;
+
+    do {
+      const result = await motion.getTasks({
+        workspaceId: options.workspaceId,
+        projectId: options.projectId,
+        cursor
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          lookupFailed: true,
+          error: `Couldn't check Motion for an earlier attempt: ${result.error}`
+        };
+      }
+
+      const match = result.tasks.find(t => t.description?.includes(task.idempotency_key));
+      if (match) {
+        console.log(`♻️ Found task from an earlier attempt in Motion: ${match.id}`);
+        return { success: true, motionTaskId: match.id, task: match, recovered: true };
+      }
+
+      cursor = result.nextCursor;
+      pages++;
+    } while (cursor && pages < MAX_LOOKUP_PAGES);
+
+    return null;
+  }
+}
+
+export default TaskSyncService;
@@ -0,0 +1,127 @@
+import motionService, { MotionService } from './motion.js';
+import { encryptSecret, decryptSecret, isEncryptionConfigured } from '../utils/crypto.js';
+import { validateUserLinkage } from '../utils/validator.js';
+
+// last_used is a hint, so it's written at most this often per user
+const LAST_USED_INTERVAL_MS = 60 * 60 * 1000;
+
+const RELINK_REQUIRED_MESSAGE = `🔗 Your linked Motion account can't be used anymore. Open the Projectize home tab and click *Link Motion Account* to link it again.`;
+
+export class UserLinkageService {
+
+  constructor(storage) {
+    this.storage = storage;
+    // One MotionService per linked user so each key gets its own rate limiter.
+    // Keyed by `${teamId}:${slackUserId}`; the entry is replaced when the stored token changes.
+    this.userClients = new Map();
+  }
+
+  async linkMotionAccount({ slackUserId, teamId, apiKey }) {
+    if (!isEncryptionConfigured()) {
+      return {
+        success: false,
+        error: 'Account linking is not configured on this server (missing MOTION_TOKEN_ENCRYPTION_KEY)'
+      };
+    }
+
+    const trimmedKey = (apiKey || '').trim();
+    if (!trimmedKey) {
+      return { success: false, error: 'Please paste a Motion API key' };
+    }
+
+    // Validate the key before storing anything
+    const userMotion = new MotionService({ apiKey: trimmedKey });
+    const health = await userMotion.healthCheck();
+
+    if (!health.healthy) {
+      return { success: false, error: `Motion rejected that API key: ${health.error}` };
+    }
+
+    const currentUser = await userMotion.getCurrentUser();
+
+    const linkage = {
+      slack_user_id: slackUserId,
+      slack_workspace_id: teamId,
+      motion_access_token: encryptSecret(trimmedKey),
+      motion_user_id: currentUser.success ? currentUser.user?.id || null : null
+    };
+
+    const validation = validateUserLinkage(linkage);
+    if (!validation.valid) {
+      return { success: false, error: validation.errors.join(', ') };
+    }
+
+    const existing = await this.storage.getUserLinkage(slackUserId, teamId);
+
+    if (existing) {
+      await this.storage.updateUserLinkage(slackUserId, teamId, {
+        motion_access_token: linkage.motion_access_token,
+        motion_user_id: linkage.motion_user_id,
+        linked_at: new Date().toISOString()
+      });
+    } else {
+      await this.storage.createUserLinkage(linkage);
+    }
+
+    return {
+      success: true,
+      motionUser: currentUser.success ? currentUser.user : null
+    };
+  }
+
+  async getLinkage(slackUserId, teamId) {
+    if (!slackUserId || !teamId) return null;
+
+    try {
+      return await this.storage.getUserLinkage(slackUserId, teamId);
+    } catch (error) {
+      console.error('Failed to load user linkage:', error);
+      return null;
+    }
+  }
+
+  // Motion client acting as the linked user, or the shared admin client if they haven't linked.
+  // A linked key that can't be decrypted (e.g. after MOTION_TOKEN_ENCRYPTION_KEY changed)
+  // returns { motion: null, error } so callers ask the user to re-link instead of
+  // quietly acting with the admin key.
+  async getMotionServiceForUser(slackUserId, teamId) {
+    const linkage = await this.getLinkage(slackUserId, teamId);
+
+    if (!linkage?.motion_access_token) {
+      return { motion: motionService, linked: false };
+    }
+
+    const key = `${teamId}:${slackUserId}`;
+    let cached = this.userClients.get(key);
+
+    if (cached?.token !== linkage.motion_access_token) {
+      try {
+        const apiKey = decryptSecret(linkage.motion_access_token);
+        cached = { token: linkage.motion_access_token, motion: new MotionService({ apiKey }), lastUsedAt: 0 };
+        this.userClients.set(key, cached);
+      } catch (error) {
+        console.error(`Could not decrypt Motion key for ${slackUserId}:`, error.message);
+        this.userClients.delete(key);
+        return { motion: null, linked: true, relinkRequired: true, error: RELINK_REQUIRED_MESSAGE };
+      }
+    }
+
+    if (Date.now() - cached.lastUsedAt >= LAST_USED_INTERVAL_MS) {
+      cached.lastUsedAt = Date.now();
+
+      try {
+        await this.storage.updateUserLinkage(slackUserId, teamId, {});
+      } catch (error) {
+        console.warn('Failed to update linkage last_used:', error.message);
+      }
+    }
+
+    return {
+      motion: cached.motion,
+      linked: true,
+      motionUserId: linkage.motion_user_id
+    };
+  }
+}
+
+export default UserLinkageService;
@@ -1,14 +1,25 @@
+// Keyword score a task needs before it overrides the channel's default mapping
+const STRONG_MATCH_SCORE = 8;
+
 export class WorkspaceMatcherService {
   
   constructor(motionService) {
     this.motionService = motionService;
   }
   
-  async suggestWorkspaceAndProject(extractedTasks, allWorkspaces) {
+  async suggestWorkspaceAndProject(extractedTasks, allWorkspaces, options = {}) {
+    const { channelMapping = null, routingRules = [] } = options;
     const suggestions = [];
+    const projectCache = new Map();
     
     for (const task of extractedTasks) {
-      const suggestion = await this.findBestMatch(task, allWorkspaces);
+      const routed = routingRules.length > 0
+        ? await this.findRoutedMatch(task, allWorkspaces, routingRules, channelMapping, projectCache)
+        : null;
+      
+      const suggestion = routed || (channelMapping
+        ? await this.findMatchWithChannelDefault(task, allWorkspaces, channelMapping)
+        : await this.findBestMatch(task, allWorkspaces));
       suggestions.push({
         task: task,
         workspace: suggestion.workspace,
@@ -55,6 +66,105 @@ export class WorkspaceMatcherService {
     };
   }
   
+  async findMatchWithChannelDefault(task, workspaces, channelMapping) {
+    const taskText = `${task.title} ${task.context || ''}`.toLowerCase();
+    
+    const mappedWorkspace = workspaces.find(w => w.id === channelMapping.motion_workspace_id)
+      || { id: channelMapping.motion_workspace_id, name: 'Channel workspace' };
+    
+    // Only a strong keyword match for a different workspace beats the channel default
+    const bestOther = workspaces
+      .filter(w => w.id !== mappedWorkspace.id)
+      .map(workspace => ({ workspace, score: this.calculateWorkspaceScore(taskText, workspace) }))
+      .sort((a, b) => b.score.total - a.score.total)[0];
+    
+    if (bestOther && bestOther.score.total >= STRONG_MATCH_SCORE) {
+      return this.findBestMatch(task, workspaces);
+    }
+    
+    return {
+      workspace: mappedWorkspace,
+      project: channelMapping.motion_project_id
+        ? { id: channelMapping.motion_project_id, name: channelMapping.project_name || 'Channel project' }
+        : null,
+      confidence: 'high',
+      reasoning: 'channel default mapping'
+    };
+  }
+  
+  // Channel rules like "tasks about invoices go to Finance" beat keyword scoring
+  // and the channel default
+  async findRoutedMatch(task, workspaces, routingRules, channelMapping, projectCache) {
+    const taskText = `${task.title} ${task.context || ''}`.toLowerCase();
+    // Loose plural matching, so "invoices" in a rule also catches "invoice"
+    const mentions = keyword => taskText.includes(keyword.length > 3 ? keyword.replace(/s$/, '') : keyword);
+    const rule = routingRules.find(r => r.keywords.some(mentions));
+    
+    if (!rule) return null;
+    
+    const target = await this.resolveRuleTarget(rule.target, workspaces, channelMapping, projectCache);
+    
+    if (!target) {
+      console.warn(`⚠️ Channel rule target "${rule.target}" doesn't match any Motion workspace or project`);
+      return null;
+    }
+    
+    return {
+      workspace: target.workspace,
+      project: target.project,
+      confidence: 'high',
+      reasoning: `channel rule: "${rule.rule}"`
+    };
+  }
+  
+  // Targets can be "Workspace > Project", a workspace name, or a project name
+  async resolveRuleTarget(target, workspaces, channelMapping, projectCache) {
+    const matchesName = (name, wanted) => (name || '').toLowerCase() === wanted.toLowerCase();
+    
+    if (target.includes('>')) {
+      const [workspaceName, projectName] = target.split('>').map(part => part.trim());
+      const workspace = workspaces.find(w => matchesName(w.name, workspaceName));
+      if (!workspace) return null;
+      
+      return {
+        workspace,
+        project: projectName ? await this.findProjectByName(workspace, projectName, projectCache) : null
+      };
+    }
+    
+    const workspace = workspaces.find(w => matchesName(w.name, target));
+    if (workspace) {
+      return { workspace, project: null };
+    }
+    
+    // Look for a project with that name, starting with the channel's own workspace
+    const mappedId = channelMapping?.motion_workspace_id;
+    const ordered = [...workspaces].sort((a, b) => (b.id === mappedId) - (a.id === mappedId));
+    
+    for (const candidate of ordered) {
+      const project = await this.findProjectByName(candidate, target, projectCache);
+      if (project) {
+        return { workspace: candidate, project };
+      }
+    }
+    
+    return null;
+  }
+  
+  async findProjectByName(workspace, projectName, projectCache) {
+    if (!projectCache.has(workspace.id)) {
+      const projectsResult = await this.motionService.getProjects(workspace.id);
+      projectCache.set(workspace.id, projectsResult.success ? projectsResult.projects || [] : []);
+    }
+    
+    const wanted = projectName.toLowerCase();
+    const projects = projectCache.get(workspace.id);
+    
+    return projects.find(p => (p.name || '').toLowerCase() === wanted)
+      || projects.find(p => (p.name || '').toLowerCase().includes(wanted))
+      || null;
+  }
+  
   calculateWorkspaceScore(taskText, workspace) {
     const workspaceName = workspace.name.toLowerCase();
     let score = 0;
@@ -0,0 +1,71 @@
+// The schema as originally created by setup:supabase. Written with IF NOT EXISTS
+// so databases set up before migrations existed can apply it as a baseline.
+
+export const name = 'initial_schema';
+
+export const up = `
+-- User linkages (Slack to Motion account mapping)
+CREATE TABLE IF NOT EXISTS user_linkages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    slack_user_id TEXT NOT NULL UNIQUE,
+    slack_workspace_id TEXT NOT NULL,
+    motion_access_token TEXT NOT NULL,
+    motion_refresh_token TEXT,
+    motion_user_id TEXT,
+    linked_at TIMESTAMP DEFAULT NOW(),
+    last_used TIMESTAMP DEFAULT NOW()
+);
+
+-- Channel project mappings
+CREATE TABLE IF NOT EXISTS channel_mappings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    slack_channel_id TEXT NOT NULL,
+    slack_workspace_id TEXT NOT NULL,
+    motion_workspace_id TEXT NOT NULL,
+    motion_project_id TEXT,
+    project_name TEXT,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(slack_channel_id, slack_workspace_id)
+);
+
+-- Task queue for failed/retry tasks
+CREATE TABLE IF NOT EXISTS task_queue (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    slack_message_ts TEXT NOT NULL,
+    slack_channel_id TEXT NOT NULL,
+    slack_user_id TEXT NOT NULL,
+    extracted_tasks JSONB NOT NULL,
+    retry_count INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'pending',
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_attempt TIMESTAMP,
+    CONSTRAINT valid_status CHECK (status IN ('pending', 'processing', 'completed', 'failed'))
+);
+
+-- Historical task mappings for learning
+CREATE TABLE IF NOT EXISTS task_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    slack_message_ts TEXT NOT NULL,
+    slack_channel_id TEXT NOT NULL,
+    original_message TEXT NOT NULL,
+    extracted_tasks JSONB NOT NULL,
+    motion_task_ids TEXT[],
+    success BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_user_linkages_slack_user ON user_linkages(slack_user_id);
+CREATE INDEX IF NOT EXISTS idx_channel_mappings_channel ON channel_mappings(slack_channel_id, slack_workspace_id);
+CREATE INDEX IF NOT EXISTS idx_task_queue_status ON task_queue(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_task_history_channel ON task_history(slack_channel_id, created_at);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS task_history;
+DROP TABLE IF EXISTS task_queue;
+DROP TABLE IF EXISTS channel_mappings;
+DROP TABLE IF EXISTS user_linkages;
+`;
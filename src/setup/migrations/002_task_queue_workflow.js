@@ -0,0 +1,46 @@
+// Brings the schema up to what the app writes: who approved a queue entry and
+// from which team, workspace suggestions and AI edit proposals, the retry
+// schedule, and the editing, retrying and dead_letter statuses. Linkages
+// become unique per Slack workspace, matching how they are looked up.
+
+export const name = 'task_queue_workflow';
+
+export const up = `
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS approved_by TEXT;
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS slack_team_id TEXT;
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS workspace_suggestions JSONB;
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS proposed_edit JSONB;
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+
+ALTER TABLE task_queue DROP CONSTRAINT IF EXISTS valid_status;
+ALTER TABLE task_queue ADD CONSTRAINT valid_status CHECK (status IN (
+    'pending', 'editing', 'processing', 'retrying', 'completed', 'failed', 'dead_letter'
+));
+
+CREATE INDEX IF NOT EXISTS idx_task_queue_message ON task_queue(slack_channel_id, slack_message_ts);
+CREATE INDEX IF NOT EXISTS idx_task_queue_retries ON task_queue(status, next_attempt_at);
+
+ALTER TABLE user_linkages DROP CONSTRAINT IF EXISTS user_linkages_slack_user_id_key;
+ALTER TABLE user_linkages DROP CONSTRAINT IF EXISTS user_linkages_slack_user_workspace_key;
+ALTER TABLE user_linkages ADD CONSTRAINT user_linkages_slack_user_workspace_key UNIQUE (slack_user_id, slack_workspace_id);
+`;
+
+// Entries in a status the old constraint doesn't know are marked failed first
+export const down = `
+DROP INDEX IF EXISTS idx_task_queue_retries;
+DROP INDEX IF EXISTS idx_task_queue_message;
+
+ALTER TABLE task_queue DROP CONSTRAINT IF EXISTS valid_status;
+UPDATE task_queue SET status = 'failed'
+    WHERE status NOT IN ('pending', 'processing', 'completed', 'failed');
+ALTER TABLE task_queue ADD CONSTRAINT valid_status CHECK (status IN ('pending', 'processing', 'completed', 'failed'));
+
+ALTER TABLE task_queue DROP COLUMN IF EXISTS next_attempt_at;
+ALTER TABLE task_queue DROP COLUMN IF EXISTS proposed_edit;
+ALTER TABLE task_queue DROP COLUMN IF EXISTS workspace_suggestions;
+ALTER TABLE task_queue DROP COLUMN IF EXISTS slack_team_id;
+ALTER TABLE task_queue DROP COLUMN IF EXISTS approved_by;
+
+ALTER TABLE user_linkages DROP CONSTRAINT IF EXISTS user_linkages_slack_user_workspace_key;
+ALTER TABLE user_linkages ADD CONSTRAINT user_linkages_slack_user_id_key UNIQUE (slack_user_id);
+`;
@@ -0,0 +1,12 @@
+// Queue entries created by reacting to a message record who reacted, separately
+// from the author of the message the tasks came from
+
+export const name = 'capture_trigger';
+
+export const up = `
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS triggered_by TEXT;
+`;
+
+export const down = `
+ALTER TABLE task_queue DROP COLUMN IF EXISTS triggered_by;
+`;
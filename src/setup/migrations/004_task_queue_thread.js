@@ -0,0 +1,14 @@
+// Queue entries record the thread their preview was posted in. A mention inside a
+// thread is keyed by its own ts, but replies with edits arrive under the thread's.
+
+export const name = 'task_queue_thread';
+
+export const up = `
+ALTER TABLE task_queue ADD COLUMN IF NOT EXISTS slack_thread_ts TEXT;
+CREATE INDEX IF NOT EXISTS idx_task_queue_thread ON task_queue(slack_channel_id, slack_thread_ts);
+`;
+
+export const down = `
+DROP INDEX IF EXISTS idx_task_queue_thread;
+ALTER TABLE task_queue DROP COLUMN IF EXISTS slack_thread_ts;
+`;
@@ -0,0 +1,45 @@
+// Supabase schema migrations, applied in order by `npm run setup:supabase`.
+// Add a new numbered module for every schema change (never edit one that has
+// shipped) and list it here; the app refuses to start against a database that
+// hasn't applied the latest one.
+import * as initialSchema from './001_initial_schema.js';
+import * as taskQueueWorkflow from './002_task_queue_workflow.js';
+import * as captureTrigger from './003_capture_trigger.js';
+import * as taskQueueThread from './004_task_queue_thread.js';
+
+export const MIGRATIONS = [
+  { version: 1, ...initialSchema },
+  { version: 2, ...taskQueueWorkflow },
+  { version: 3, ...captureTrigger },
+  { version: 4, ...taskQueueThread }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Postgres and PostgREST codes for a table that doesn't exist, e.g. schema_migrations
+// in a database set up before migrations
+export const MISSING_TABLE_ERRORS = ['42P01', 'PGRST205'];
+
+// Applied versions are recorded here by the same SQL that applies them
+export const MIGRATIONS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+);
+`;
+
+export function buildUpSql(migration) {
+  return [
+    MIGRATIONS_TABLE_SQL.trim(),
+    migration.up.trim(),
+    `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}') ON CONFLICT (version) DO NOTHING;`
+  ].join('\n\n');
+}
+
+export function buildDownSql(migration) {
+  return [
+    migration.down.trim(),
+    `DELETE FROM schema_migrations WHERE version = ${migration.version};`
+  ].join('\n\n');
+}
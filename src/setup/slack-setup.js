@@ -18,7 +18,23 @@ export const SLACK_APP_MANIFEST = {
       home_tab_enabled: true,
       messages_tab_enabled: false,
       messages_tab_read_only_enabled: false
-    }
+    },
+    shortcuts: [
+      {
+        name: "Extract tasks",
+        type: "message",
+        callback_id: "extract_tasks",
+        description: "Extract tasks from this message and create them in Motion"
+      }
+    ],
+    slash_commands: [
+      {
+        command: "/projectize",
+        description: "Extract tasks or check Projectize's setup for this channel",
+        usage_hint: "extract [text] | setup | status | queue | mapping | history | config | help",
+        should_escape: false
+      }
+    ]
   },
   oauth_config: {
     scopes: {
@@ -26,10 +42,15 @@ export const SLACK_APP_MANIFEST = {
         "channels:read",
         "channels:history", 
         "chat:write",
+        "commands",
+        "reactions:read",
         "reactions:write",
         "users:read",
         "app_mentions:read",
-        "channels:join"
+        "channels:join",
+        "pins:read",
+        "bookmarks:read",
+        "files:read"
       ]
     }
   },
@@ -40,7 +61,9 @@ export const SLACK_APP_MANIFEST = {
         "message.channels",
         "reaction_added",
         "app_home_opened",
-        "member_joined_channel"
+        "member_joined_channel",
+        "pin_added",
+        "pin_removed"
       ]
     },
     interactivity: {
@@ -1,101 +1,161 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  MISSING_TABLE_ERRORS,
+  buildUpSql,
+  buildDownSql
+} from './migrations/index.js';
 
 dotenv.config();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-const SCHEMA_SQL = `
--- User linkages (Slack to Motion account mapping)
-CREATE TABLE IF NOT EXISTS user_linkages (
-    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    slack_user_id TEXT NOT NULL UNIQUE,
-    slack_workspace_id TEXT NOT NULL,
-    motion_access_token TEXT NOT NULL,
-    motion_refresh_token TEXT,
-    motion_user_id TEXT,
-    linked_at TIMESTAMP DEFAULT NOW(),
-    last_used TIMESTAMP DEFAULT NOW()
-);
-
--- Channel project mappings 
-CREATE TABLE IF NOT EXISTS channel_mappings (
-    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    slack_channel_id TEXT NOT NULL,
-    slack_workspace_id TEXT NOT NULL,
-    motion_workspace_id TEXT NOT NULL,
-    motion_project_id TEXT,
-    project_name TEXT,
-    created_by TEXT NOT NULL,
-    created_at TIMESTAMP DEFAULT NOW(),
-    UNIQUE(slack_channel_id, slack_workspace_id)
-);
-
--- Task queue for failed/retry tasks
-CREATE TABLE IF NOT EXISTS task_queue (
-    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    slack_message_ts TEXT NOT NULL,
-    slack_channel_id TEXT NOT NULL,
-    slack_user_id TEXT NOT NULL,
-    extracted_tasks JSONB NOT NULL,
-    retry_count INTEGER DEFAULT 0,
-    status TEXT DEFAULT 'pending',
-    error_message TEXT,
-    created_at TIMESTAMP DEFAULT NOW(),
-    last_attempt TIMESTAMP,
-    CONSTRAINT valid_status CHECK (status IN ('pending', 'processing', 'completed', 'failed'))
-);
-
--- Historical task mappings for learning
-CREATE TABLE IF NOT EXISTS task_history (
-    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    slack_message_ts TEXT NOT NULL,
-    slack_channel_id TEXT NOT NULL,
-    original_message TEXT NOT NULL,
-    extracted_tasks JSONB NOT NULL,
-    motion_task_ids TEXT[],
-    success BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT NOW()
-);
-
--- Create indexes for performance
-CREATE INDEX IF NOT EXISTS idx_user_linkages_slack_user ON user_linkages(slack_user_id);
-CREATE INDEX IF NOT EXISTS idx_channel_mappings_channel ON channel_mappings(slack_channel_id, slack_workspace_id);
-CREATE INDEX IF NOT EXISTS idx_task_queue_status ON task_queue(status, created_at);
-CREATE INDEX IF NOT EXISTS idx_task_history_channel ON task_history(slack_channel_id, created_at);
+// Migrations run through an `exec_sql` function, which Supabase projects don't
+// have by default. Create it once in the SQL editor, or use --sql instead.
+const EXEC_SQL_FUNCTION = `
+CREATE OR REPLACE FUNCTION exec_sql(sql TEXT) RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER AS $$
+BEGIN
+  EXECUTE sql;
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION exec_sql(TEXT) FROM PUBLIC, anon, authenticated;
 `;
 
-async function setupDatabase() {
-  try {
-    console.log('🏗️  Setting up Supabase database schema...');
-    
-    // Execute schema creation
-    const { error } = await supabase.rpc('exec_sql', { sql: SCHEMA_SQL });
-    
-    if (error) {
-      console.error('❌ Database setup failed:', error);
-      process.exit(1);
+// PostgREST's code for an RPC function that doesn't exist
+const MISSING_FUNCTION_ERROR = 'PGRST202';
+
+const USAGE = `Usage: npm run setup:supabase [-- --sql] [-- --down]
+
+  (no options)  Apply pending migrations through the exec_sql RPC
+  --sql         Print pending migrations as plain SQL instead of applying them
+  --down        Roll back the most recently applied migration`;
+
+function getClient() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    return null;
+  }
+
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+}
+
+async function getAppliedVersions(supabase) {
+  const { data, error } = await supabase
+    .from('schema_migrations')
+    .select('version');
+
+  if (error) {
+    if (MISSING_TABLE_ERRORS.includes(error.code)) {
+      return [];
     }
-    
-    console.log('✅ Database schema created successfully!');
-    console.log('📊 Created tables:');
-    console.log('  - user_linkages (Slack to Motion account mappings)');
-    console.log('  - channel_mappings (Channel to project mappings)');
-    console.log('  - task_queue (Failed/retry task queue)');
-    console.log('  - task_history (Historical task data for learning)');
-    
-  } catch (error) {
-    console.error('❌ Setup error:', error);
-    process.exit(1);
+    throw new Error(`Failed to read schema_migrations: ${error.message}`);
+  }
+
+  return data.map(row => row.version);
+}
+
+async function execSql(supabase, sql) {
+  const { error } = await supabase.rpc('exec_sql', { sql });
+
+  if (error?.code === MISSING_FUNCTION_ERROR) {
+    throw new Error(
+      `The exec_sql function doesn't exist in this database. Create it in the Supabase SQL editor:\n${EXEC_SQL_FUNCTION}\n` +
+      'or run `npm run setup:supabase -- --sql` and paste the output into the SQL editor instead.'
+    );
+  }
+
+  if (error) {
+    throw new Error(error.message);
   }
 }
 
+// Plain SQL for the SQL editor or psql, one transaction per migration
+function printSql(migrations, buildSql) {
+  migrations.forEach(migration => {
+    console.log(`-- ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    console.log('BEGIN;');
+    console.log(buildSql(migration));
+    console.log('COMMIT;\n');
+  });
+}
+
+async function setupDatabase(options = {}) {
+  const { sql = false } = options;
+  const supabase = getClient();
+
+  if (!supabase && !sql) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set (or use --sql to print the migrations)');
+  }
+
+  // Without a connection --sql prints every migration; they're safe to re-apply
+  const applied = supabase ? await getAppliedVersions(supabase) : [];
+  const pending = MIGRATIONS.filter(migration => !applied.includes(migration.version));
+
+  if (sql) {
+    if (pending.length === 0) {
+      console.log(`-- Schema is up to date (version ${LATEST_SCHEMA_VERSION})`);
+      return;
+    }
+    printSql(pending, buildUpSql);
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.log(`✅ Database schema is up to date (version ${LATEST_SCHEMA_VERSION})`);
+    return;
+  }
+
+  console.log(`🏗️  Applying ${pending.length} migration${pending.length !== 1 ? 's' : ''}...`);
+
+  for (const migration of pending) {
+    await execSql(supabase, buildUpSql(migration));
+    console.log(`  ✅ ${migration.version}: ${migration.name}`);
+  }
+
+  console.log(`✅ Database schema is at version ${LATEST_SCHEMA_VERSION}`);
+}
+
+async function rollbackLatest(options = {}) {
+  const { sql = false } = options;
+  const supabase = getClient();
+
+  if (!supabase) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set to find the migration to roll back');
+  }
+
+  const applied = await getAppliedVersions(supabase);
+  const latest = MIGRATIONS.filter(migration => applied.includes(migration.version)).pop();
+
+  if (!latest) {
+    console.log(sql ? '-- No migrations to roll back' : '✅ No migrations to roll back');
+    return;
+  }
+
+  if (sql) {
+    printSql([latest], buildDownSql);
+    return;
+  }
+
+  await execSql(supabase, buildDownSql(latest));
+  console.log(`↩️  Rolled back ${latest.version}: ${latest.name}`);
+}
+
 // Run setup if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  setupDatabase();
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const options = { sql: args.includes('--sql') };
+  const run = args.includes('--down') ? rollbackLatest : setupDatabase;
+
+  run(options).catch(error => {
+    console.error('❌ Database setup failed:', error.message);
+    process.exit(1);
+  });
 }
 
-export { setupDatabase };
\ No newline at end of file
+export { setupDatabase, rollbackLatest };
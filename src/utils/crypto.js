@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+export function isEncryptionConfigured() {
+  return Boolean(process.env.MOTION_TOKEN_ENCRYPTION_KEY);
+}
+
+function getEncryptionKey() {
+  const secret = process.env.MOTION_TOKEN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('MOTION_TOKEN_ENCRYPTION_KEY is not set');
+  }
+
+  // Accept any passphrase length by hashing it down to a 256-bit key
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+export function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    FORMAT_VERSION,
+    iv.toString('base64'),
+    tag.toString('base64'),
+    encrypted.toString('base64')
+  ].join(':');
+}
+
+export function decryptSecret(payload) {
+  const [version, iv, tag, encrypted] = (payload || '').split(':');
+
+  if (version !== FORMAT_VERSION || !iv || !tag || !encrypted) {
+    throw new Error('Unrecognised encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
@@ -0,0 +1,483 @@
+// Natural-language due date resolution shared by the task preview and Motion sync.
+// All calendar math happens on "local days": UTC-midnight timestamps that represent
+// the calendar day in the Slack user's timezone (offset in seconds, like users.info tz_offset).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 0, jan: 0,
+  february: 1, feb: 1,
+  march: 2, mar: 2,
+  april: 3, apr: 3,
+  may: 4,
+  june: 5, jun: 5,
+  july: 6, jul: 6,
+  august: 7, aug: 7,
+  september: 8, sep: 8, sept: 8,
+  october: 9, oct: 9,
+  november: 10, nov: 10,
+  december: 11, dec: 11
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, 'a couple': 2, 'a couple of': 2, few: 3, 'a few': 3
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+export function getServerTimezoneOffset(now = new Date()) {
+  return -now.getTimezoneOffset() * 60;
+}
+
+export function resolveDueDate(dueDateString, options = {}) {
+  const {
+    now = new Date(),
+    timezoneOffset = getServerTimezoneOffset(now)
+  } = options;
+
+  const unresolved = {
+    date: null,
+    day: null,
+    confidence: null,
+    ambiguous: false,
+    original: dueDateString || null
+  };
+
+  if (!dueDateString || typeof dueDateString !== 'string') {
+    return unresolved;
+  }
+
+  const today = toLocalDay(now, timezoneOffset);
+
+  let phrase = dueDateString
+    .toLowerCase()
+    .replace(/[.,!?]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // "before X" means the day before X; "by/due/on/until X" mean X itself
+  let before = false;
+  const beforeMatch = phrase.match(/^(?:due\s+)?(?:before|prior to|ahead of)\s+(.+)$/);
+  if (beforeMatch) {
+    before = true;
+    phrase = beforeMatch[1];
+  } else {
+    phrase = phrase.replace(/^(?:due\s+)?(?:by|on|until|no later than|due)\s+/, '');
+  }
+
+  const match = matchPhrase(phrase, today);
+
+  if (!match) {
+    return unresolved;
+  }
+
+  let { day, confidence, ambiguous = false } = match;
+
+  if (before) {
+    day = addDays(day, -1);
+    if (day < today) {
+      // "before today" / "before EOD" still means today at the latest
+      day = today;
+      ambiguous = true;
+    }
+  }
+
+  if (day < today) {
+    ambiguous = true;
+    confidence = 'low';
+  }
+
+  return {
+    date: endOfLocalDay(day, timezoneOffset).toISOString(),
+    day: formatLocalDay(day),
+    confidence,
+    ambiguous,
+    original: dueDateString
+  };
+}
+
+// Start of a past local day for "since ..." phrases: today, yesterday, a weekday
+// (its most recent occurrence), this week or last week. Returns a Date, or null.
+export function resolveSinceDay(phrase, options = {}) {
+  const {
+    now = new Date(),
+    timezoneOffset = getServerTimezoneOffset(now)
+  } = options;
+
+  if (!phrase || typeof phrase !== 'string') return null;
+
+  const normalized = phrase.toLowerCase().trim().replace(/^(?:last|this past)\s+(?=[a-z]+day$)/, '');
+  const today = toLocalDay(now, timezoneOffset);
+  let day = null;
+
+  if (normalized === 'today' || normalized === 'this morning') {
+    day = today;
+  } else if (normalized === 'yesterday') {
+    day = addDays(today, -1);
+  } else if (normalized === 'this week') {
+    day = addDays(today, -mondayIndex(today));
+  } else if (normalized === 'last week') {
+    day = addDays(today, -mondayIndex(today) - 7);
+  } else if (normalized in WEEKDAYS) {
+    const diff = (new Date(today).getUTCDay() - WEEKDAYS[normalized] + 7) % 7;
+    day = addDays(today, -diff);
+  }
+
+  return day === null ? null : new Date(day - timezoneOffset * 1000);
+}
+
+export function resolveTaskDueDates(tasks, options = {}) {
+  return tasks.map(task => {
+    if (!task.due_date || task.due_date_resolved) {
+      return task;
+    }
+
+    const { date, day, confidence, ambiguous } = resolveDueDate(task.due_date, options);
+    const timezoneOffset = options.timezoneOffset ?? null;
+
+    return {
+      ...task,
+      due_date_resolved: date ? { date, day, confidence, ambiguous, timezone_offset: timezoneOffset } : null
+    };
+  });
+}
+
+export function describeLocalDay(day, options = {}) {
+  const {
+    now = new Date(),
+    timezoneOffset = getServerTimezoneOffset(now)
+  } = options;
+
+  const dayMs = Date.parse(`${day}T00:00:00Z`);
+  const diffDays = Math.round((dayMs - toLocalDay(now, timezoneOffset)) / DAY_MS);
+
+  const label = new Date(dayMs).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  let relative = null;
+  if (diffDays === 0) relative = 'today';
+  else if (diffDays === 1) relative = 'tomorrow';
+  else if (diffDays === -1) relative = 'yesterday';
+  else if (diffDays > 1 && diffDays <= 14) relative = `in ${diffDays} days`;
+  else if (diffDays < -1) relative = `${Math.abs(diffDays)} days ago`;
+
+  return relative ? `${label} · ${relative}` : label;
+}
+
+function matchPhrase(phrase, today) {
+  return matchFixedPhrase(phrase, today)
+    || matchPeriodEnd(phrase, today)
+    || matchRelativeOffset(phrase, today)
+    || matchWeekday(phrase, today)
+    || matchCalendarDate(phrase, today)
+    || matchFallback(phrase, today);
+}
+
+function matchFixedPhrase(phrase, today) {
+  if (/^(?:the )?day after tomorrow$/.test(phrase)) {
+    return { day: addDays(today, 2), confidence: 'high' };
+  }
+
+  if (/^(?:tomorrow|tmrw|tmr|tomorrow (?:morning|afternoon|evening|night|eod))$/.test(phrase)) {
+    return { day: addDays(today, 1), confidence: 'high' };
+  }
+
+  if (/^(?:today|tonight|this (?:morning|afternoon|evening)|eod|cob|end of (?:the )?day|close of business|end of business(?: day)?|eod today|today eod)$/.test(phrase)) {
+    return { day: today, confidence: 'high' };
+  }
+
+  if (/^(?:asap|as soon as possible|right away|immediately|now)$/.test(phrase)) {
+    return { day: today, confidence: 'low', ambiguous: true };
+  }
+
+  return null;
+}
+
+function matchPeriodEnd(phrase, today) {
+  const weekStart = addDays(today, -mondayIndex(today));
+
+  if (/^(?:eow|end of (?:the |this )?week|this week|later this week)$/.test(phrase)) {
+    let friday = addDays(weekStart, 4);
+    if (friday < today) {
+      friday = addDays(friday, 7);
+    }
+    return { day: friday, confidence: 'medium' };
+  }
+
+  if (/^end of next week$/.test(phrase)) {
+    return { day: addDays(weekStart, 11), confidence: 'high' };
+  }
+
+  if (/^next week$/.test(phrase)) {
+    return { day: addDays(weekStart, 11), confidence: 'medium', ambiguous: true };
+  }
+
+  const { year, month } = localParts(today);
+
+  if (/^(?:eom|end of (?:the |this )?month|this month|later this month)$/.test(phrase)) {
+    return { day: lastDayOfMonth(year, month), confidence: 'high' };
+  }
+
+  if (/^end of next month$/.test(phrase)) {
+    return { day: lastDayOfMonth(year, month + 1), confidence: 'high' };
+  }
+
+  if (/^next month$/.test(phrase)) {
+    return { day: lastDayOfMonth(year, month + 1), confidence: 'medium', ambiguous: true };
+  }
+
+  if (/^(?:eoq|end of (?:the |this )?quarter)$/.test(phrase)) {
+    return { day: lastDayOfMonth(year, Math.floor(month / 3) * 3 + 2), confidence: 'high' };
+  }
+
+  if (/^(?:eoy|end of (?:the |this )?year)$/.test(phrase)) {
+    return { day: Date.UTC(year, 11, 31), confidence: 'high' };
+  }
+
+  const monthEnd = phrase.match(new RegExp(`^end of (${MONTH_PATTERN})$`));
+  if (monthEnd) {
+    const targetMonth = MONTHS[monthEnd[1]];
+    const targetYear = targetMonth < month ? year + 1 : year;
+    return { day: lastDayOfMonth(targetYear, targetMonth), confidence: 'high' };
+  }
+
+  return null;
+}
+
+function matchRelativeOffset(phrase, today) {
+  const numberPattern = `(\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+  const offsetMatch = phrase.match(new RegExp(
+    `^(?:in|within|after)\\s+${numberPattern}\\s+(business days?|working days?|days?|weeks?|months?)$`
+  )) || phrase.match(new RegExp(
+    `^${numberPattern}\\s+(business days?|working days?|days?|weeks?|months?)\\s+(?:from now|from today|out)$`
+  ));
+
+  if (!offsetMatch) {
+    return null;
+  }
+
+  const rawAmount = offsetMatch[1];
+  const amount = /^\d+$/.test(rawAmount) ? parseInt(rawAmount, 10) : NUMBER_WORDS[rawAmount];
+  const unit = offsetMatch[2];
+  // "a few days" is a guess, so flag it for review
+  const ambiguous = rawAmount.includes('few');
+  const confidence = ambiguous ? 'low' : 'high';
+
+  if (unit.startsWith('business') || unit.startsWith('working')) {
+    let day = today;
+    let remaining = amount;
+    while (remaining > 0) {
+      day = addDays(day, 1);
+      if (mondayIndex(day) < 5) remaining--;
+    }
+    return { day, confidence, ambiguous };
+  }
+
+  if (unit.startsWith('day')) {
+    return { day: addDays(today, amount), confidence, ambiguous };
+  }
+
+  if (unit.startsWith('week')) {
+    return { day: addDays(today, amount * 7), confidence, ambiguous };
+  }
+
+  const { year, month, date } = localParts(today);
+  const targetMonthEnd = lastDayOfMonth(year, month + amount);
+  const targetDay = Math.min(date, localParts(targetMonthEnd).date);
+  return { day: Date.UTC(year, month + amount, targetDay), confidence, ambiguous };
+}
+
+function matchWeekday(phrase, today) {
+  const weekdayMatch = phrase.match(new RegExp(
+    `^(?:(this|next|coming|the coming|following|the following)\\s+)?(${WEEKDAY_PATTERN})(?:\\s+(next week|after next|this week))?$`
+  ));
+
+  if (!weekdayMatch) {
+    return null;
+  }
+
+  const qualifier = weekdayMatch[1] || null;
+  const suffix = weekdayMatch[3] || null;
+  const target = (WEEKDAYS[weekdayMatch[2]] + 6) % 7; // Monday-based index
+  const current = mondayIndex(today);
+  const weekStart = addDays(today, -current);
+
+  if (suffix === 'after next') {
+    return { day: addDays(weekStart, 14 + target), confidence: 'medium' };
+  }
+
+  if (qualifier === 'next' || suffix === 'next week') {
+    // "next Tuesday" on a Monday could mean tomorrow or a week later;
+    // we pick the Tuesday of next calendar week and flag it
+    return {
+      day: addDays(weekStart, 7 + target),
+      confidence: suffix === 'next week' ? 'high' : 'medium',
+      ambiguous: suffix !== 'next week' && target > current
+    };
+  }
+
+  if (qualifier === 'this' || suffix === 'this week') {
+    if (target >= current) {
+      return { day: addDays(weekStart, target), confidence: 'high' };
+    }
+    return { day: addDays(weekStart, 7 + target), confidence: 'low', ambiguous: true };
+  }
+
+  // Bare weekday or "coming X": the next occurrence, today included
+  if (target === current) {
+    return { day: today, confidence: 'medium', ambiguous: true };
+  }
+
+  const daysAhead = (target - current + 7) % 7;
+  return { day: addDays(today, daysAhead), confidence: 'high' };
+}
+
+function matchCalendarDate(phrase, today) {
+  const { year: currentYear } = localParts(today);
+  const ordinal = '(?:st|nd|rd|th)?';
+
+  const iso = phrase.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:t.*)?$/);
+  if (iso) {
+    const day = buildDay(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+    return day === null ? null : { day, confidence: 'high' };
+  }
+
+  const numeric = phrase.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (numeric) {
+    const first = parseInt(numeric[1], 10);
+    const second = parseInt(numeric[2], 10);
+    // US month/day order; anything that also reads as day/month is ambiguous
+    const ambiguous = first !== second && first <= 12 && second <= 12;
+    return withYear(first - 1, second, numeric[3], today, currentYear, ambiguous ? 'medium' : 'high', ambiguous);
+  }
+
+  const monthFirst = phrase.match(new RegExp(`^(?:(mid|early|late)[- ])?(${MONTH_PATTERN})\\.?(?:\\s+(\\d{1,2})${ordinal})?(?:,?\\s+(\\d{4}))?$`));
+  if (monthFirst) {
+    const month = MONTHS[monthFirst[2]];
+    if (monthFirst[3]) {
+      return withYear(month, parseInt(monthFirst[3], 10), monthFirst[4], today, currentYear, 'high', false);
+    }
+    // A bare month ("in March", "mid March") is only a rough target
+    const roughDay = { early: 7, mid: 15, late: 25 }[monthFirst[1]];
+    if (roughDay) {
+      return withYear(month, roughDay, monthFirst[4], today, currentYear, 'low', true);
+    }
+    const targetYear = monthFirst[4]
+      ? parseInt(monthFirst[4], 10)
+      : (lastDayOfMonth(currentYear, month) < today ? currentYear + 1 : currentYear);
+    return { day: lastDayOfMonth(targetYear, month), confidence: 'low', ambiguous: true };
+  }
+
+  const dayFirst = phrase.match(new RegExp(`^(?:the\\s+)?(\\d{1,2})${ordinal}\\s+(?:of\\s+)?(${MONTH_PATTERN})\\.?(?:,?\\s+(\\d{4}))?$`));
+  if (dayFirst) {
+    return withYear(MONTHS[dayFirst[2]], parseInt(dayFirst[1], 10), dayFirst[3], today, currentYear, 'high', false);
+  }
+
+  const dayOfMonth = phrase.match(/^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)$/);
+  if (dayOfMonth) {
+    const { year, month } = localParts(today);
+    const dateOfMonth = parseInt(dayOfMonth[1], 10);
+    let day = buildDay(year, month, dateOfMonth);
+    if (day === null || day < today) {
+      day = buildDay(year, month + 1, dateOfMonth);
+    }
+    return day === null ? null : { day, confidence: 'medium' };
+  }
+
+  return null;
+}
+
+function matchFallback(phrase, today) {
+  const parsed = new Date(phrase);
+
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  // Date parsing fills in odd defaults (e.g. year 2001), so distrust anything in the past
+  const day = Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+  return day < today ? null : { day, confidence: 'low', ambiguous: true };
+}
+
+function withYear(month, date, rawYear, today, currentYear, confidence, ambiguous) {
+  if (rawYear) {
+    const year = rawYear.length === 2 ? 2000 + parseInt(rawYear, 10) : parseInt(rawYear, 10);
+    const day = buildDay(year, month, date);
+    return day === null ? null : { day, confidence, ambiguous };
+  }
+
+  // No year given: the next time this date comes around
+  let day = buildDay(currentYear, month, date);
+  if (day !== null && day < today) {
+    day = buildDay(currentYear + 1, month, date);
+  }
+
+  return day === null ? null : { day, confidence, ambiguous };
+}
+
+function buildDay(year, month, date) {
+  if (month < 0 || month > 11 || date < 1 || date > 31) {
+    return null;
+  }
+
+  const day = Date.UTC(year, month, date);
+  const check = new Date(day);
+
+  // Reject dates that rolled over, e.g. February 30th
+  if (check.getUTCDate() !== date) {
+    return null;
+  }
+
+  return day;
+}
+
+function toLocalDay(now, timezoneOffset) {
+  const shifted = new Date(now.getTime() + timezoneOffset * 1000);
+  return Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+}
+
+function endOfLocalDay(day, timezoneOffset) {
+  return new Date(day + (23 * 60 + 59) * 60 * 1000 - timezoneOffset * 1000);
+}
+
+function formatLocalDay(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return day + days * DAY_MS;
+}
+
+function mondayIndex(day) {
+  return (new Date(day).getUTCDay() + 6) % 7;
+}
+
+function localParts(day) {
+  const date = new Date(day);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    date: date.getUTCDate()
+  };
+}
+
+function lastDayOfMonth(year, month) {
+  return Date.UTC(year, month + 1, 0);
+}
@@ -1,3 +1,5 @@
+import { resolveDueDate, describeLocalDay } from './date-resolver.js';
+
 export function parseMessage(text) {
   if (!text || typeof text !== 'string') {
     return { content: '', command: null };
@@ -7,7 +9,7 @@ export function parseMessage(text) {
   const cleanText = text.replace(/^<@[A-Z0-9]+>\s*/i, '').trim();
   
   // Check for commands
-  const commandMatch = cleanText.match(/^(help|setup|status)\s*$/i);
+  const commandMatch = cleanText.match(/^(help|setup|status|queue|mapping|history|config)\s*$/i);
   if (commandMatch) {
     return {
       content: '',
@@ -15,12 +17,126 @@ export function parseMessage(text) {
     };
   }
   
+  // Open Motion tasks: "my tasks", "tasks" (this channel) or "tasks for #channel"
+  const taskListMatch = cleanText.match(/^(?:(my)\s+tasks|tasks(?:\s+(?:for|in)\s+<#([A-Z0-9]+)(?:\|[^>]*)?>)?)\s*$/i);
+  if (taskListMatch) {
+    return {
+      content: '',
+      command: taskListMatch[1] ? 'my_tasks' : 'channel_tasks',
+      channelId: taskListMatch[2] || null
+    };
+  }
+  
+  // Analysis scope arguments, e.g. "last 3 days from @alice"
+  const scope = parseAnalysisScope(cleanText);
+  if (scope) {
+    return {
+      content: '',
+      command: null,
+      scope
+    };
+  }
+  
   return {
     content: cleanText,
     command: null
   };
 }
 
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10, fourteen: 14, thirty: 30 };
+const UNIT_SECONDS = { hour: 3600, day: 86400, week: 604800 };
+
+// Each pattern consumes one argument from the front of the text
+const SCOPE_PATTERNS = [
+  {
+    // "last 3 days", "past 2 weeks", "in the last 12 hours"
+    pattern: /^(?:in\s+|over\s+)?(?:the\s+)?(?:last|past)\s+(\d+|[a-z]+)\s+(hour|day|week)s?\b/i,
+    apply: (scope, match) => {
+      const count = /^\d+$/.test(match[1]) ? parseInt(match[1]) : NUMBER_WORDS[match[1].toLowerCase()];
+      if (!count) return false;
+      scope.lookbackSeconds = count * UNIT_SECONDS[match[2].toLowerCase()];
+    }
+  },
+  {
+    // "last day", "past week"
+    pattern: /^(?:in\s+|over\s+)?(?:the\s+)?(?:last|past)\s+(hour|day|week)\b/i,
+    apply: (scope, match) => { scope.lookbackSeconds = UNIT_SECONDS[match[1].toLowerCase()]; }
+  },
+  {
+    // "since <https://team.slack.com/archives/C123/p1700000000123456|link>"
+    pattern: /^(?:since|after|from)\s+<(https?:\/\/[^|>]+)(?:\|[^>]*)?>/i,
+    apply: (scope, match) => {
+      const message = parseSlackPermalink(match[1]);
+      if (!message) return false;
+      scope.sinceMessage = message;
+    }
+  },
+  {
+    // "since yesterday", "since monday", "today"
+    pattern: /^(?:since\s+)?(today|yesterday|this morning|this week|last week|(?:last\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i,
+    apply: (scope, match, text) => {
+      // A bare weekday ("friday") is more likely task content than a scope
+      if (!/^since\s/i.test(text) && !/^(today|yesterday|this morning|this week|last week)$/i.test(match[1])) return false;
+      scope.sinceDay = match[1].toLowerCase();
+    }
+  },
+  {
+    // "this thread", "in this thread", "thread"
+    pattern: /^(?:in\s+)?(?:this\s+|the\s+)?thread\b/i,
+    apply: (scope) => { scope.thread = true; }
+  },
+  {
+    // "from @alice", "by @alice and @bob"
+    pattern: /^(?:from|by)\s+((?:<@[A-Z0-9]+(?:\|[^>]*)?>(?:\s*(?:,|and|&)\s*)?)+)/i,
+    apply: (scope, match) => {
+      const userIds = [...match[1].matchAll(/<@([A-Z0-9]+)/g)].map(m => m[1]);
+      scope.fromUserIds = [...new Set([...(scope.fromUserIds || []), ...userIds])];
+    }
+  }
+];
+
+// Returns a scope object when the whole text is made of scope arguments, otherwise null
+// so the text is treated as content to extract tasks from.
+export function parseAnalysisScope(text) {
+  if (!text || typeof text !== 'string') return null;
+  
+  const scope = {};
+  let remaining = text.trim();
+  
+  while (remaining.length > 0) {
+    let consumed = false;
+    
+    for (const { pattern, apply } of SCOPE_PATTERNS) {
+      const match = remaining.match(pattern);
+      if (!match || apply(scope, match, remaining) === false) continue;
+      
+      remaining = remaining.slice(match[0].length).replace(/^[\s,;]*(?:and\s+)?/i, '');
+      consumed = true;
+      break;
+    }
+    
+    if (!consumed) return null;
+  }
+  
+  return Object.keys(scope).length > 0 ? scope : null;
+}
+
+// https://team.slack.com/archives/C123/p1700000000123456?thread_ts=1699999999.000100&cid=C123
+export function parseSlackPermalink(url) {
+  if (!url) return null;
+  
+  const match = url.match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})/);
+  if (!match) return null;
+  
+  const threadMatch = url.match(/[?&]thread_ts=(\d+\.\d+)/);
+  
+  return {
+    channel: match[1],
+    ts: `${match[2]}.${match[3]}`,
+    threadTs: threadMatch ? threadMatch[1] : null
+  };
+}
+
 export function extractQuotedText(text) {
   if (!text || typeof text !== 'string') {
     return '';
@@ -73,21 +189,26 @@ export function extractEmailFromSlackUser(userProfile) {
   return userProfile.email || userProfile.profile?.email || null;
 }
 
-export function formatDueDateForDisplay(dueDateString) {
+export function formatDueDateForDisplay(dueDateString, options = {}) {
   if (!dueDateString) return '';
   
   try {
-    const date = new Date(dueDateString);
-    const now = new Date();
-    const diffDays = Math.ceil((date - now) / (1000 * 60 * 60 * 24));
+    // Prefer the resolution stored with the task so the preview matches what syncs to Motion
+    const resolved = options.resolved || resolveDueDate(dueDateString, options);
     
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Tomorrow';
-    if (diffDays === -1) return 'Yesterday';
-    if (diffDays > 1 && diffDays <= 7) return `In ${diffDays} days`;
-    if (diffDays < -1 && diffDays >= -7) return `${Math.abs(diffDays)} days ago`;
+    if (!resolved || !resolved.day) {
+      return `${dueDateString} ⚠️ _couldn't resolve date_`;
+    }
+    
+    const described = describeLocalDay(resolved.day, options);
+    const isExactDate = /^\d{4}-\d{2}-\d{2}$/.test(dueDateString.trim());
+    const display = isExactDate ? described : `${dueDateString} → ${described}`;
+    
+    if (resolved.ambiguous || resolved.confidence === 'low') {
+      return `${display} ⚠️ _please confirm_`;
+    }
     
-    return date.toLocaleDateString();
+    return display;
   } catch (error) {
     return dueDateString;
   }
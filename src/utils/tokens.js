@@ -0,0 +1,54 @@
+// Rough token accounting for prompts. Models tokenize differently, so this
+// errs on the high side: ~4 characters per token for prose, and words that are
+// long or full of symbols (URLs, IDs, code) count extra.
+
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  if (!text) return 0;
+
+  const words = text.split(/\s+/).filter(Boolean);
+  const symbolHeavy = words.filter(word => /[^A-Za-z0-9'",.!?-]/.test(word) || word.length > 12).length;
+
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + symbolHeavy;
+}
+
+// Split items into consecutive chunks whose estimated size stays under `budget`.
+// An item bigger than the budget gets a chunk of its own rather than being dropped.
+// `overlap` repeats the last few items of a chunk at the start of the next one,
+// so a commitment made across a boundary still has its context.
+export function chunkByTokens(items, budget, { measure = item => estimateTokens(String(item)), overlap = 0 } = {}) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let fresh = 0; // items in the current chunk that aren't overlap
+
+  items.forEach(item => {
+    const tokens = measure(item);
+
+    if (fresh > 0 && currentTokens + tokens > budget) {
+      chunks.push(current);
+
+      const carried = overlap > 0 ? current.slice(-overlap) : [];
+      current = [...carried];
+      currentTokens = carried.reduce((sum, carriedItem) => sum + measure(carriedItem), 0);
+      fresh = 0;
+
+      // Drop the overlap if it would leave no room for the new item
+      if (currentTokens + tokens > budget) {
+        current = [];
+        currentTokens = 0;
+      }
+    }
+
+    current.push(item);
+    currentTokens += tokens;
+    fresh++;
+  });
+
+  if (fresh > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
@@ -72,11 +72,15 @@ export function validateEnvironment() {
     'SLACK_BOT_TOKEN',
     'SLACK_APP_TOKEN', 
     'SLACK_SIGNING_SECRET',
-    'ANTHROPIC_API_KEY',
     'SUPABASE_URL',
     'SUPABASE_SERVICE_KEY'
   ];
   
+  // Only the Anthropic provider needs an Anthropic key
+  if ((process.env.AI_PROVIDER || 'anthropic').toLowerCase() === 'anthropic') {
+    requiredVars.push('ANTHROPIC_API_KEY');
+  }
+  
   const missing = requiredVars.filter(varName => !process.env[varName]);
   
   const warnings = [];
@@ -173,6 +177,66 @@ export function validateUserLinkage(linkage) {
   };
 }
 
+// Check a value against the small JSON Schema subset used by the AI tool definitions:
+// type (or a list of types), enum, required, properties, items, maxLength and minLength
+export function validateSchema(schema, value, path = 'input') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  
+  const typeOf = (v) => {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (Number.isInteger(v)) return 'integer';
+    return typeof v;
+  };
+  
+  const actualType = typeOf(value);
+  const typeMatches = !schema.type || types.includes(actualType) ||
+    (actualType === 'integer' && types.includes('number'));
+  
+  if (!typeMatches) {
+    errors.push(`${path} must be ${types.join(' or ')}`);
+    return { valid: false, errors };
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  
+  if (actualType === 'string' && schema.maxLength && value.length > schema.maxLength) {
+    errors.push(`${path} is longer than ${schema.maxLength} characters`);
+  }
+  
+  if (actualType === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} is shorter than ${schema.minLength} characters`);
+  }
+  
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`).errors);
+      }
+    });
+  }
+  
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`).errors);
+    });
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
 export function sanitizeInput(input, maxLength = 1000) {
   if (typeof input !== 'string') {
     return '';